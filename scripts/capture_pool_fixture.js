@@ -0,0 +1,67 @@
+/**
+ * Capture a mainnet pool creation as a decoder fixture
+ * Fetches the transaction from Helius /v0/transactions (keeping its real signature), decodes it
+ * and writes scripts/fixtures/pool_creations/<name>.json with the decoded pool as `expected`.
+ * Check the printed fields against an explorer before committing the fixture.
+ * Usage: node scripts/capture_pool_fixture.js <dex> <signature> [--name <file name>]
+ */
+
+import { config } from 'dotenv';
+import { writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+config();
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'pool_creations');
+
+async function main() {
+  const [dex, signature, ...args] = process.argv.slice(2);
+  const nameIndex = args.indexOf('--name');
+  const name = nameIndex >= 0 ? args[nameIndex + 1] : dex;
+
+  if (!dex || !signature || !name) {
+    console.error('Usage: node scripts/capture_pool_fixture.js <dex> <signature> [--name <file name>]');
+    process.exit(1);
+  }
+
+  // Imported after dotenv so the modules see the environment
+  const { fetchParsedTransactions } = await import('../src/helius.js');
+  const { decodePoolCreations } = await import('../src/dex/registry.js');
+
+  const txs = await fetchParsedTransactions([signature]);
+  const transaction = txs?.find((tx) => tx?.signature === signature);
+  if (!transaction) {
+    console.error(`❌ Could not fetch ${signature} (is HELIUS_API_KEY set?)`);
+    process.exit(1);
+  }
+  if (transaction.transactionError) {
+    console.error(`❌ ${signature} failed on chain`);
+    process.exit(1);
+  }
+
+  const pool = decodePoolCreations(transaction).find((p) => p.dex === dex);
+  if (!pool) {
+    console.error(`❌ No ${dex} pool creation decoded from ${signature}`);
+    process.exit(1);
+  }
+
+  const { dex: _dex, ...expected } = pool;
+  const fixture = {
+    description: `Captured mainnet ${dex} pool creation (Helius /v0/transactions).`,
+    captured: true,
+    dex,
+    transaction,
+    expected,
+  };
+
+  const file = join(FIXTURES_DIR, `${name}.json`);
+  writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+
+  console.log(`✅ Wrote ${file}`);
+  console.log(JSON.stringify(expected, null, 2));
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
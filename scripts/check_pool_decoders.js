@@ -0,0 +1,64 @@
+/**
+ * Check the per-DEX pool creation decoders against their fixtures
+ * Fixtures not captured from mainnet (see scripts/capture_pool_fixture.js) are listed at the end.
+ * Usage: node scripts/check_pool_decoders.js
+ */
+
+import { config } from 'dotenv';
+import { readdirSync, readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+config();
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'pool_creations');
+
+// Liquidity is a float; anything closer than this counts as equal
+const EPSILON = 1e-9;
+
+function matches(actual, expected) {
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    return Math.abs(actual - expected) < EPSILON;
+  }
+  return actual === expected;
+}
+
+async function main() {
+  // Imported after dotenv so the modules see the environment
+  const { decodePoolCreations } = await import('../src/dex/registry.js');
+
+  const files = readdirSync(FIXTURES_DIR).filter((f) => f.endsWith('.json')).sort();
+  let failed = 0;
+  const constructed = [];
+
+  for (const file of files) {
+    const fixture = JSON.parse(readFileSync(join(FIXTURES_DIR, file), 'utf8'));
+    if (!fixture.captured) constructed.push(file);
+    const pools = decodePoolCreations(fixture.transaction);
+    const pool = pools.find((p) => p.dex === fixture.dex);
+
+    const mismatches = pool
+      ? Object.entries(fixture.expected)
+          .filter(([field, value]) => !matches(pool[field], value))
+          .map(([field, value]) => `${field}: expected ${value}, got ${pool[field]}`)
+      : [`no ${fixture.dex} pool decoded`];
+
+    if (mismatches.length > 0) {
+      failed++;
+      console.log(`❌ ${file}`);
+      for (const mismatch of mismatches) console.log(`   ${mismatch}`);
+    } else {
+      console.log(`✅ ${file}`);
+    }
+  }
+
+  console.log(`\n${files.length - failed}/${files.length} fixtures decoded as expected`);
+  if (constructed.length > 0) {
+    console.log(`⚠️  Not captured from mainnet: ${constructed.join(', ')}`);
+  }
+  if (failed > 0) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
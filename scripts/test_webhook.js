@@ -1,8 +1,9 @@
 /**
  * Test script to send sample webhook payloads
- * Usage: node scripts/test_webhook.js [--url URL] [--secret SECRET]
+ * Usage: node scripts/test_webhook.js [--url URL] [--secret SECRET] [--hmac-secret SECRET]
  */
 
+import { createHmac } from 'crypto';
 import { config } from 'dotenv';
 config();
 
@@ -12,6 +13,7 @@ const DEFAULT_URL = `http://localhost:${process.env.PORT || 3000}/webhook/helius
 const args = process.argv.slice(2);
 let url = DEFAULT_URL;
 let secret = process.env.HELIUS_WEBHOOK_SECRET || 'test-secret';
+let hmacSecret = process.env.WEBHOOK_HMAC_SECRET || null;
 
 for (let i = 0; i < args.length; i++) {
   if (args[i] === '--url' && args[i + 1]) {
@@ -20,6 +22,9 @@ for (let i = 0; i < args.length; i++) {
   } else if (args[i] === '--secret' && args[i + 1]) {
     secret = args[i + 1];
     i++;
+  } else if (args[i] === '--hmac-secret' && args[i + 1]) {
+    hmacSecret = args[i + 1];
+    i++;
   }
 }
 
@@ -115,15 +120,26 @@ async function sendWebhook(payload, name) {
   console.log(`\n📤 Sending ${name}...`);
   console.log(`   URL: ${url}`);
 
+  const body = JSON.stringify(payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    Authorization: secret,
+    'X-Webhook-Secret': secret,
+  };
+
+  // Sign `<timestamp>.<body>` when the server verifies HMAC signatures
+  if (hmacSecret) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = createHmac('sha256', hmacSecret).update(`${timestamp}.${body}`).digest('hex');
+    headers['X-Webhook-Timestamp'] = timestamp;
+    headers['X-Webhook-Signature'] = `sha256=${signature}`;
+  }
+
   try {
     const response = await fetch(url, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: secret,
-        'X-Webhook-Secret': secret,
-      },
-      body: JSON.stringify(payload),
+      headers,
+      body,
     });
 
     const data = await response.json();
@@ -145,6 +161,7 @@ async function main() {
   console.log('='.repeat(50));
   console.log(`Target URL: ${url}`);
   console.log(`Secret: ${secret ? '****' + secret.slice(-4) : 'not set'}`);
+  console.log(`HMAC signing: ${hmacSecret ? 'on' : 'off'}`);
 
   // Send each sample
   await sendWebhook(sampleSwap, 'Sample Raydium Swap');
@@ -0,0 +1,81 @@
+/**
+ * Token price series metrics
+ * Derives current price, windowed price change and VWAP from stored swaps
+ */
+
+const WINDOWS_MINUTES = [1, 5, 15];
+
+/**
+ * Compute price metrics from a list of swaps
+ * Price changes are measured in SOL so SOL/USD moves don't register as token momentum
+ *
+ * @param {Object[]} swaps - Swaps with ts, price_sol, price_usd, amount_usd, amount_token
+ * @param {number} nowMs - Reference time (defaults to now)
+ * @returns {Object} price_sol, price_usd, price_change_1m/5m/15m (percent), vwap_usd_5m
+ */
+export function computePriceMetrics(swaps, nowMs = Date.now()) {
+  const result = {
+    price_sol: null,
+    price_usd: null,
+    price_change_1m: null,
+    price_change_5m: null,
+    price_change_15m: null,
+    vwap_usd_5m: null,
+  };
+
+  const priced = (swaps || [])
+    .filter((s) => parseFloat(s.price_sol) > 0)
+    .map((s) => ({
+      tsMs: new Date(s.ts).getTime(),
+      priceSol: parseFloat(s.price_sol),
+      priceUsd: parseFloat(s.price_usd) || null,
+    }))
+    .sort((a, b) => a.tsMs - b.tsMs);
+
+  if (priced.length > 0) {
+    const latest = priced[priced.length - 1];
+    result.price_sol = latest.priceSol;
+    result.price_usd = latest.priceUsd;
+
+    for (const minutes of WINDOWS_MINUTES) {
+      const reference = referencePrice(priced, nowMs - minutes * 60000);
+      if (reference && reference !== latest) {
+        result[`price_change_${minutes}m`] = ((latest.priceSol - reference.priceSol) / reference.priceSol) * 100;
+      }
+    }
+  }
+
+  // VWAP over the last 5 minutes
+  const fiveMinMs = nowMs - 5 * 60000;
+  let usdSum = 0;
+  let tokenSum = 0;
+  for (const swap of swaps || []) {
+    if (new Date(swap.ts).getTime() < fiveMinMs) continue;
+    const usd = parseFloat(swap.amount_usd);
+    const tokens = parseFloat(swap.amount_token);
+    if (usd > 0 && tokens > 0) {
+      usdSum += usd;
+      tokenSum += tokens;
+    }
+  }
+  if (tokenSum > 0) {
+    result.vwap_usd_5m = usdSum / tokenSum;
+  }
+
+  return result;
+}
+
+/**
+ * Price at the start of a window: the last swap before it, else the first swap inside it
+ */
+function referencePrice(priced, windowStartMs) {
+  let reference = null;
+  for (const point of priced) {
+    if (point.tsMs <= windowStartMs) {
+      reference = point;
+    } else {
+      return reference || point;
+    }
+  }
+  return reference;
+}
@@ -0,0 +1,82 @@
+/**
+ * Sniper and bundled-buy detection
+ * Looks at the first buys after launch for wallets that bought in the same slot
+ * or within seconds of the pool going live
+ */
+
+// Configuration
+const SNIPER_FIRST_BUYS = parseInt(process.env.SNIPER_FIRST_BUYS || '20', 10);
+const SNIPER_WINDOW_SLOTS = parseInt(process.env.SNIPER_WINDOW_SLOTS || '2', 10);
+const SNIPER_WINDOW_SECONDS = parseInt(process.env.SNIPER_WINDOW_SECONDS || '5', 10);
+const BUNDLE_MIN_WALLETS = parseInt(process.env.SNIPER_BUNDLE_MIN_WALLETS || '3', 10);
+
+/**
+ * Analyze the first buys after launch
+ *
+ * @param {Object[]} swaps - Swaps from launch onwards (ts, slot, side, buyer, amount_token)
+ * @param {Object} launch - { ts, slot } of the launch pool's creation (slot optional)
+ * @param {number} supplyUi - Token supply in UI units (raw supply / 10^decimals), optional
+ * @returns {Object|null} Sniper stats for token_metrics.meta.snipers (null without a launch time)
+ */
+export function analyzeSnipers(swaps, launch = {}, supplyUi = null) {
+  // Measuring from the first swap we happened to see would call early buyers snipers
+  if (!launch.ts) return null;
+
+  const buys = (swaps || [])
+    .filter((s) => s.side === 'buy' && s.buyer)
+    .map((s) => ({
+      buyer: s.buyer,
+      tsMs: new Date(s.ts).getTime(),
+      slot: s.slot != null ? Number(s.slot) : null,
+      amount: parseFloat(s.amount_token) || 0,
+    }))
+    .sort((a, b) => (a.slot !== null && b.slot !== null ? a.slot - b.slot : 0) || a.tsMs - b.tsMs);
+
+  if (buys.length === 0) return null;
+
+  const launchMs = new Date(launch.ts).getTime();
+  const launchSlot = launch.slot != null ? Number(launch.slot) : null;
+
+  // A buy is a snipe if it landed within a few slots of launch (or seconds, when slots are unknown)
+  const isSnipe = (buy) =>
+    launchSlot !== null && buy.slot !== null
+      ? buy.slot - launchSlot <= SNIPER_WINDOW_SLOTS
+      : buy.tsMs - launchMs <= SNIPER_WINDOW_SECONDS * 1000;
+
+  const firstBuys = buys.slice(0, SNIPER_FIRST_BUYS);
+  const snipes = firstBuys.filter(isSnipe);
+  const sniperWallets = new Set(snipes.map((b) => b.buyer));
+
+  // Same-slot clustering: several distinct wallets buying in one slot points to a bundle
+  const walletsBySlot = new Map();
+  for (const buy of firstBuys) {
+    if (buy.slot === null) continue;
+    if (!walletsBySlot.has(buy.slot)) walletsBySlot.set(buy.slot, new Set());
+    walletsBySlot.get(buy.slot).add(buy.buyer);
+  }
+  const bundles = [...walletsBySlot.entries()].filter(([, wallets]) => wallets.size >= BUNDLE_MIN_WALLETS);
+  const bundledWallets = new Set(bundles.flatMap(([, wallets]) => [...wallets]));
+
+  // First-minute buyers, for tokens where slot data is missing
+  const firstMinute = buys.filter((b) => b.tsMs - launchMs <= 60000);
+  const firstMinuteWallets = new Set(firstMinute.map((b) => b.buyer));
+
+  const sum = (list) => list.reduce((total, b) => total + b.amount, 0);
+  const pctOfSupply = (amount) => (supplyUi > 0 ? (amount / supplyUi) * 100 : null);
+
+  const sniperAmount = sum(firstBuys.filter((b) => sniperWallets.has(b.buyer) || bundledWallets.has(b.buyer)));
+
+  return {
+    launch_at: new Date(launchMs).toISOString(),
+    launch_slot: launchSlot,
+    first_buys: firstBuys.length,
+    sniper_buys: snipes.length,
+    sniper_wallets: sniperWallets.size,
+    max_wallets_per_slot: Math.max(0, ...[...walletsBySlot.values()].map((w) => w.size)),
+    bundled_slots: bundles.length,
+    bundled_wallets: bundledWallets.size,
+    sniper_supply_pct: pctOfSupply(sniperAmount),
+    first_minute_buyers: firstMinuteWallets.size,
+    first_minute_supply_pct: pctOfSupply(sum(firstMinute)),
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Wash-trade detection
+ * Flags swaps that churn volume without changing who holds the token
+ */
+
+import { swapVolumeUsd } from '../pricing/sol_price.js';
+
+// Configuration
+const WASH_ROUND_TRIP_SECONDS = parseInt(process.env.WASH_ROUND_TRIP_SECONDS || '60', 10);
+const WASH_NET_TOLERANCE = parseFloat(process.env.WASH_NET_TOLERANCE || '0.1');
+const WASH_MIN_TRADES = 4;
+
+/**
+ * Flag wash trades in a list of swaps
+ * A trader is a wallet, or a cluster of wallets funded from a common source when clusters are
+ * known. Two heuristics apply per trader:
+ *   - round trip: a buy and a sell within WASH_ROUND_TRIP_SECONDS of each other
+ *   - net-flat churn: several buys and sells whose token amounts cancel out
+ *
+ * @param {Object[]} swaps - Swaps with ts, side, buyer, seller, amount_token, amount_usd, quote_mint, quote_amount
+ * @param {Object} options
+ * @param {Map<string, string>} options.walletClusters - wallet -> cluster id (optional)
+ * @returns {Object} { isWash: boolean[] aligned with swaps, stats }
+ */
+export function detectWashTrades(swaps, { walletClusters = new Map() } = {}) {
+  const isWash = new Array(swaps.length).fill(false);
+  const byTrader = new Map();
+
+  swaps.forEach((swap, index) => {
+    const wallet = swap.side === 'buy' ? swap.buyer : swap.side === 'sell' ? swap.seller : null;
+    if (!wallet) return;
+
+    const trader = walletClusters.get(wallet) || wallet;
+    if (!byTrader.has(trader)) byTrader.set(trader, []);
+    byTrader.get(trader).push({
+      index,
+      side: swap.side,
+      tsMs: new Date(swap.ts).getTime(),
+      amount: parseFloat(swap.amount_token) || 0,
+    });
+  });
+
+  let roundTripTraders = 0;
+  let churnTraders = 0;
+
+  for (const trades of byTrader.values()) {
+    if (trades.length < 2) continue;
+    trades.sort((a, b) => a.tsMs - b.tsMs);
+
+    // Round trips: opposite-side trades in quick succession
+    let roundTrip = false;
+    for (let i = 1; i < trades.length; i++) {
+      const prev = trades[i - 1];
+      const curr = trades[i];
+      if (prev.side !== curr.side && curr.tsMs - prev.tsMs <= WASH_ROUND_TRIP_SECONDS * 1000) {
+        isWash[prev.index] = true;
+        isWash[curr.index] = true;
+        roundTrip = true;
+      }
+    }
+    if (roundTrip) roundTripTraders++;
+
+    // Net-flat churn: lots of trading that ends with roughly no position change
+    const bought = trades.filter((t) => t.side === 'buy').reduce((sum, t) => sum + t.amount, 0);
+    const sold = trades.filter((t) => t.side === 'sell').reduce((sum, t) => sum + t.amount, 0);
+    if (trades.length >= WASH_MIN_TRADES && bought > 0 && sold > 0) {
+      const imbalance = Math.abs(bought - sold) / Math.max(bought, sold);
+      if (imbalance <= WASH_NET_TOLERANCE) {
+        for (const t of trades) isWash[t.index] = true;
+        churnTraders++;
+      }
+    }
+  }
+
+  const washVolumeUsd = swaps.reduce((sum, s, i) => sum + (isWash[i] ? swapVolumeUsd(s) : 0), 0);
+
+  return {
+    isWash,
+    stats: {
+      wash_swaps: isWash.filter(Boolean).length,
+      wash_volume_usd: washVolumeUsd,
+      round_trip_traders: roundTripTraders,
+      churn_traders: churnTraders,
+    },
+  };
+}
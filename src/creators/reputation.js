@@ -0,0 +1,101 @@
+/**
+ * Creator reputation
+ * Links tokens to their deployer wallet and tracks how the deployer's launches turned out
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { setTokenCreator, getTokensByCreator, upsertCreator } from '../supabase.js';
+
+const log = createLogger('creators');
+
+// Statuses that count as a failed launch
+const RUGGED_STATUSES = new Set(['dead', 'scam']);
+
+// Wallets that pay for pool creation on behalf of others (extend with CREATOR_IGNORE_WALLETS=address,...)
+const IGNORED_CREATORS = new Set([
+  '39azUYFWPz3VHgKCf3VChUwbpURdCHRxjWVowf5jUJjg', // Pump.fun migration authority
+  ...(process.env.CREATOR_IGNORE_WALLETS || '')
+    .split(',')
+    .map((wallet) => wallet.trim())
+    .filter(Boolean),
+]);
+
+/**
+ * Record a token launch by a creator wallet and refresh the creator's stats
+ *
+ * @param {string} wallet - Fee payer of the pool creation / token launch
+ * @param {string} mint - Token mint
+ * @returns {Object|null} Updated creator record, or null if the wallet is not a creator
+ */
+export async function recordCreatorLaunch(wallet, mint) {
+  if (!wallet || !mint || IGNORED_CREATORS.has(wallet)) return null;
+
+  await setTokenCreator(mint, wallet);
+  return refreshCreatorStats(wallet);
+}
+
+/**
+ * Recompute a creator's outcome stats from their tokens and store them
+ */
+export async function refreshCreatorStats(wallet) {
+  const tokens = await getTokensByCreator(wallet);
+  const stats = computeCreatorStats(tokens);
+
+  const creator = await upsertCreator(wallet, {
+    ...stats,
+    stats_updated_at: new Date().toISOString(),
+  });
+
+  log.debug('Creator stats refreshed', { wallet, tokens: stats.token_count, rugged: stats.dead_count + stats.scam_count });
+  return creator;
+}
+
+/**
+ * Compute outcome stats for a creator's tokens
+ *
+ * @param {Object[]} tokens - Token rows ({ mint, status, first_seen_at, status_changed_at, peak_score })
+ * @returns {Object} creators row fields
+ */
+export function computeCreatorStats(tokens) {
+  const counts = { active: 0, dead: 0, scam: 0 };
+  const minutesToDeath = [];
+  let peakScore = null;
+  let firstLaunch = null;
+  let lastLaunch = null;
+
+  for (const token of tokens) {
+    if (token.status in counts) counts[token.status]++;
+
+    if (token.peak_score != null && (peakScore === null || token.peak_score > peakScore)) {
+      peakScore = token.peak_score;
+    }
+
+    const launchedMs = token.first_seen_at ? new Date(token.first_seen_at).getTime() : null;
+    if (launchedMs !== null) {
+      if (firstLaunch === null || launchedMs < firstLaunch) firstLaunch = launchedMs;
+      if (lastLaunch === null || launchedMs > lastLaunch) lastLaunch = launchedMs;
+    }
+
+    if (RUGGED_STATUSES.has(token.status) && launchedMs !== null && token.status_changed_at) {
+      const minutes = (new Date(token.status_changed_at).getTime() - launchedMs) / 60000;
+      if (minutes >= 0) minutesToDeath.push(minutes);
+    }
+  }
+
+  const rugged = counts.dead + counts.scam;
+
+  return {
+    token_count: tokens.length,
+    active_count: counts.active,
+    dead_count: counts.dead,
+    scam_count: counts.scam,
+    rug_rate: tokens.length > 0 ? rugged / tokens.length : null,
+    peak_score: peakScore,
+    avg_minutes_to_death:
+      minutesToDeath.length > 0 ? minutesToDeath.reduce((sum, m) => sum + m, 0) / minutesToDeath.length : null,
+    first_launch_at: firstLaunch !== null ? new Date(firstLaunch).toISOString() : null,
+    last_launch_at: lastLaunch !== null ? new Date(lastLaunch).toISOString() : null,
+  };
+}
+
+export { IGNORED_CREATORS };
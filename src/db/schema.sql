@@ -20,6 +20,15 @@ CREATE TABLE IF NOT EXISTS tokens (
     freeze_authority TEXT,
     decimals INTEGER,
     supply NUMERIC,
+    token_program TEXT,
+    token_extensions JSONB,
+    creator TEXT,
+    status_changed_at TIMESTAMPTZ,
+    peak_score INTEGER,
+    curve_progress_pct NUMERIC,
+    curve_complete BOOLEAN,
+    graduated_at TIMESTAMPTZ,
+    graduated_pool TEXT,
     meta JSONB DEFAULT '{}'::jsonb,
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
@@ -39,6 +48,10 @@ CREATE TABLE IF NOT EXISTS pools (
     created_at TIMESTAMPTZ DEFAULT NOW(),
     liquidity_usd NUMERIC,
     liquidity_sol NUMERIC,
+    lp_mint TEXT,
+    lp_burned_pct NUMERIC,
+    lp_locked_pct NUMERIC,
+    lp_checked_at TIMESTAMPTZ,
     last_updated_at TIMESTAMPTZ DEFAULT NOW(),
     meta JSONB DEFAULT '{}'::jsonb
 );
@@ -50,15 +63,21 @@ CREATE TABLE IF NOT EXISTS pools (
 CREATE TABLE IF NOT EXISTS swaps (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     token_mint TEXT NOT NULL REFERENCES tokens(mint) ON DELETE CASCADE,
-    signature TEXT UNIQUE NOT NULL,
+    signature TEXT NOT NULL,
     ts TIMESTAMPTZ NOT NULL,
+    slot BIGINT,
     side TEXT CHECK (side IN ('buy', 'sell', 'unknown')),
     amount_usd NUMERIC,
     amount_token NUMERIC,
     amount_sol NUMERIC,
+    quote_mint TEXT,
+    quote_amount NUMERIC,
     buyer TEXT,
     seller TEXT,
     pool_address TEXT,
+    price_sol NUMERIC,
+    price_usd NUMERIC,
+    usd_attempted_at TIMESTAMPTZ,
     meta JSONB DEFAULT '{}'::jsonb,
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
@@ -93,6 +112,8 @@ CREATE TABLE IF NOT EXISTS token_metrics (
     unique_buyers_1m INTEGER DEFAULT 0,
     unique_buyers_5m INTEGER DEFAULT 0,
     unique_buyers_15m INTEGER DEFAULT 0,
+    unique_buyer_clusters_1m INTEGER,
+    unique_buyer_clusters_5m INTEGER,
     unique_sellers_1m INTEGER DEFAULT 0,
     unique_sellers_5m INTEGER DEFAULT 0,
     volume_usd_1m NUMERIC DEFAULT 0,
@@ -100,7 +121,20 @@ CREATE TABLE IF NOT EXISTS token_metrics (
     volume_usd_15m NUMERIC DEFAULT 0,
     buy_volume_usd_1m NUMERIC DEFAULT 0,
     sell_volume_usd_1m NUMERIC DEFAULT 0,
+    organic_swaps_1m INTEGER,
+    organic_swaps_5m INTEGER,
+    organic_unique_buyers_1m INTEGER,
+    organic_unique_buyers_5m INTEGER,
+    organic_volume_usd_1m NUMERIC,
+    organic_volume_usd_5m NUMERIC,
+    wash_volume_pct_5m NUMERIC,
+    smart_buyers_5m INTEGER DEFAULT 0,
+    price_sol NUMERIC,
+    price_usd NUMERIC,
+    price_change_1m NUMERIC,
     price_change_5m NUMERIC,
+    price_change_15m NUMERIC,
+    vwap_usd_5m NUMERIC,
     liquidity_usd NUMERIC,
     liquidity_sol NUMERIC,
     holder_count INTEGER,
@@ -142,7 +176,8 @@ CREATE TABLE IF NOT EXISTS alerts (
 
 -- ============================================
 -- 8. RAW_EVENTS TABLE
--- Store raw webhook payloads for debugging
+-- Durable ingestion queue: one webhook transaction per row, stored before the
+-- webhook is acknowledged and claimed by the ingest worker (see claim_raw_events)
 -- ============================================
 CREATE TABLE IF NOT EXISTS raw_events (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -152,9 +187,183 @@ CREATE TABLE IF NOT EXISTS raw_events (
     processed BOOLEAN DEFAULT FALSE,
     processed_at TIMESTAMPTZ,
     error TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    locked_until TIMESTAMPTZ,
+    quarantined BOOLEAN NOT NULL DEFAULT FALSE,
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+-- ============================================
+-- 9. CREATORS TABLE
+-- Deployer wallets and the outcomes of the tokens they launched
+-- ============================================
+CREATE TABLE IF NOT EXISTS creators (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    wallet TEXT UNIQUE NOT NULL,
+    token_count INTEGER DEFAULT 0,
+    active_count INTEGER DEFAULT 0,
+    dead_count INTEGER DEFAULT 0,
+    scam_count INTEGER DEFAULT 0,
+    rug_rate NUMERIC,
+    peak_score INTEGER,
+    avg_minutes_to_death NUMERIC,
+    first_launch_at TIMESTAMPTZ,
+    last_launch_at TIMESTAMPTZ,
+    stats_updated_at TIMESTAMPTZ,
+    meta JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================
+-- 10. WALLET_FUNDING TABLE
+-- Where each buyer wallet got its SOL (for wallet clustering)
+-- ============================================
+CREATE TABLE IF NOT EXISTS wallet_funding (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    wallet TEXT UNIQUE NOT NULL,
+    funder TEXT,
+    funded_at TIMESTAMPTZ,
+    amount_sol NUMERIC,
+    signature TEXT,
+    checked_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================
+-- 11. TRACKED_WALLETS TABLE
+-- Labeled smart-money wallets to watch for buys
+-- ============================================
+CREATE TABLE IF NOT EXISTS tracked_wallets (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    wallet TEXT UNIQUE NOT NULL,
+    label TEXT,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    meta JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================
+-- 12. WALLET_STATS TABLE
+-- Per-wallet trading performance computed from swaps
+-- ============================================
+CREATE TABLE IF NOT EXISTS wallet_stats (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    wallet TEXT UNIQUE NOT NULL,
+    tokens_traded INTEGER NOT NULL DEFAULT 0,
+    wins INTEGER NOT NULL DEFAULT 0,
+    losses INTEGER NOT NULL DEFAULT 0,
+    win_rate NUMERIC,
+    realized_pnl_sol NUMERIC,
+    unrealized_pnl_sol NUMERIC,
+    total_pnl_sol NUMERIC,
+    volume_sol NUMERIC,
+    avg_entry_minutes NUMERIC,
+    first_trade_at TIMESTAMPTZ,
+    last_trade_at TIMESTAMPTZ,
+    window_hours INTEGER,
+    computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================
+-- COLUMN ADDITIONS
+-- Brings tables created by earlier versions of this file up to date
+-- ============================================
+
+-- Per-swap implied token price
+ALTER TABLE swaps ADD COLUMN IF NOT EXISTS price_sol NUMERIC;
+ALTER TABLE swaps ADD COLUMN IF NOT EXISTS price_usd NUMERIC;
+
+-- Price series metrics
+ALTER TABLE token_metrics ADD COLUMN IF NOT EXISTS price_sol NUMERIC;
+ALTER TABLE token_metrics ADD COLUMN IF NOT EXISTS price_usd NUMERIC;
+ALTER TABLE token_metrics ADD COLUMN IF NOT EXISTS price_change_1m NUMERIC;
+ALTER TABLE token_metrics ADD COLUMN IF NOT EXISTS price_change_15m NUMERIC;
+ALTER TABLE token_metrics ADD COLUMN IF NOT EXISTS vwap_usd_5m NUMERIC;
+
+-- Token-2022 extension inspection
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS token_program TEXT;
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS token_extensions JSONB;
+
+-- LP burn / lock status
+ALTER TABLE pools ADD COLUMN IF NOT EXISTS lp_mint TEXT;
+ALTER TABLE pools ADD COLUMN IF NOT EXISTS lp_burned_pct NUMERIC;
+ALTER TABLE pools ADD COLUMN IF NOT EXISTS lp_locked_pct NUMERIC;
+ALTER TABLE pools ADD COLUMN IF NOT EXISTS lp_checked_at TIMESTAMPTZ;
+
+-- Creator tracking
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS creator TEXT;
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ;
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS peak_score INTEGER;
+
+-- Slot of each swap (same-slot sniper / bundle detection)
+ALTER TABLE swaps ADD COLUMN IF NOT EXISTS slot BIGINT;
+
+-- Organic (wash-filtered) activity
+ALTER TABLE token_metrics ADD COLUMN IF NOT EXISTS organic_swaps_1m INTEGER;
+ALTER TABLE token_metrics ADD COLUMN IF NOT EXISTS organic_swaps_5m INTEGER;
+ALTER TABLE token_metrics ADD COLUMN IF NOT EXISTS organic_unique_buyers_1m INTEGER;
+ALTER TABLE token_metrics ADD COLUMN IF NOT EXISTS organic_unique_buyers_5m INTEGER;
+ALTER TABLE token_metrics ADD COLUMN IF NOT EXISTS organic_volume_usd_1m NUMERIC;
+ALTER TABLE token_metrics ADD COLUMN IF NOT EXISTS organic_volume_usd_5m NUMERIC;
+ALTER TABLE token_metrics ADD COLUMN IF NOT EXISTS wash_volume_pct_5m NUMERIC;
+
+-- Buyer counts with wallets grouped by funding source
+ALTER TABLE token_metrics ADD COLUMN IF NOT EXISTS unique_buyer_clusters_1m INTEGER;
+ALTER TABLE token_metrics ADD COLUMN IF NOT EXISTS unique_buyer_clusters_5m INTEGER;
+
+-- Smart-money buyers
+ALTER TABLE token_metrics ADD COLUMN IF NOT EXISTS smart_buyers_5m INTEGER DEFAULT 0;
+
+-- Pump.fun bonding curve progress and graduation
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS curve_progress_pct NUMERIC;
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS curve_complete BOOLEAN;
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS graduated_at TIMESTAMPTZ;
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS graduated_pool TEXT;
+
+-- One swap per token per transaction (routed swaps can trade several tokens)
+ALTER TABLE swaps DROP CONSTRAINT IF EXISTS swaps_signature_key;
+
+-- Explicit quote asset; amount_sol is the SOL equivalent for stablecoin-quoted swaps.
+-- Older rows kept the quote mint in meta and stablecoin amounts in amount_sol.
+ALTER TABLE swaps ADD COLUMN IF NOT EXISTS quote_mint TEXT;
+ALTER TABLE swaps ADD COLUMN IF NOT EXISTS quote_amount NUMERIC;
+UPDATE swaps
+SET quote_mint = COALESCE(meta->>'quote_mint', 'So11111111111111111111111111111111111111112'),
+    quote_amount = amount_sol,
+    amount_sol = CASE
+        WHEN meta->>'quote_mint' IN (
+            'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+            'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'
+        ) THEN price_sol * amount_token
+        ELSE amount_sol
+    END
+WHERE quote_mint IS NULL AND amount_sol IS NOT NULL;
+
+-- Last USD backfill attempt that couldn't price the swap (retried after a while)
+ALTER TABLE swaps ADD COLUMN IF NOT EXISTS usd_attempted_at TIMESTAMPTZ;
+
+-- Ingestion queue state. Rows stored before the queue existed were already processed
+-- inline, so they are marked processed once, when the columns are first added.
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'raw_events' AND column_name = 'attempts'
+    ) THEN
+        ALTER TABLE raw_events ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0;
+        UPDATE raw_events
+        SET processed = TRUE, processed_at = COALESCE(processed_at, created_at)
+        WHERE processed = FALSE;
+    END IF;
+END $$;
+ALTER TABLE raw_events ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE raw_events ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+
+-- Transactions that failed payload validation: stored processed with the error, never claimed
+ALTER TABLE raw_events ADD COLUMN IF NOT EXISTS quarantined BOOLEAN NOT NULL DEFAULT FALSE;
+
 -- ============================================
 -- INDEXES
 -- ============================================
@@ -163,6 +372,7 @@ CREATE TABLE IF NOT EXISTS raw_events (
 CREATE INDEX IF NOT EXISTS idx_tokens_status_first_seen ON tokens(status, first_seen_at DESC);
 CREATE INDEX IF NOT EXISTS idx_tokens_last_enriched ON tokens(last_enriched_at) WHERE status = 'active';
 CREATE INDEX IF NOT EXISTS idx_tokens_mint ON tokens(mint);
+CREATE INDEX IF NOT EXISTS idx_tokens_creator ON tokens(creator) WHERE creator IS NOT NULL;
 
 -- Pools indexes
 CREATE INDEX IF NOT EXISTS idx_pools_token_mint ON pools(token_mint);
@@ -172,6 +382,7 @@ CREATE INDEX IF NOT EXISTS idx_pools_dex ON pools(dex);
 CREATE INDEX IF NOT EXISTS idx_swaps_token_mint_ts ON swaps(token_mint, ts DESC);
 CREATE INDEX IF NOT EXISTS idx_swaps_ts ON swaps(ts DESC);
 CREATE INDEX IF NOT EXISTS idx_swaps_signature ON swaps(signature);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_swaps_signature_token_mint ON swaps(signature, token_mint);
 CREATE INDEX IF NOT EXISTS idx_swaps_buyer ON swaps(buyer) WHERE buyer IS NOT NULL;
 
 -- Holder snapshots indexes
@@ -192,6 +403,17 @@ CREATE INDEX IF NOT EXISTS idx_alerts_last_sent ON alerts(last_sent_at DESC);
 CREATE INDEX IF NOT EXISTS idx_raw_events_processed ON raw_events(processed) WHERE processed = FALSE;
 CREATE INDEX IF NOT EXISTS idx_raw_events_created ON raw_events(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_raw_events_signature ON raw_events(signature) WHERE signature IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_raw_events_pending ON raw_events(next_attempt_at) WHERE processed = FALSE;
+CREATE INDEX IF NOT EXISTS idx_raw_events_quarantined ON raw_events(created_at DESC) WHERE quarantined = TRUE;
+
+-- Wallet funding indexes
+CREATE INDEX IF NOT EXISTS idx_wallet_funding_funder ON wallet_funding(funder) WHERE funder IS NOT NULL;
+
+-- Wallet stats indexes
+CREATE INDEX IF NOT EXISTS idx_wallet_stats_total_pnl ON wallet_stats(total_pnl_sol DESC);
+
+-- Creators indexes
+CREATE INDEX IF NOT EXISTS idx_creators_rug_rate ON creators(rug_rate DESC) WHERE rug_rate > 0;
 
 -- ============================================
 -- TRIGGERS FOR UPDATED_AT
@@ -217,6 +439,35 @@ CREATE TRIGGER update_alerts_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_tracked_wallets_updated_at ON tracked_wallets;
+CREATE TRIGGER update_tracked_wallets_updated_at
+    BEFORE UPDATE ON tracked_wallets
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_creators_updated_at ON creators;
+CREATE TRIGGER update_creators_updated_at
+    BEFORE UPDATE ON creators
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Record when a token's status changes (used for creator time-to-death)
+CREATE OR REPLACE FUNCTION update_status_changed_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status IS DISTINCT FROM OLD.status THEN
+        NEW.status_changed_at = NOW();
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_tokens_status_changed_at ON tokens;
+CREATE TRIGGER update_tokens_status_changed_at
+    BEFORE UPDATE OF status ON tokens
+    FOR EACH ROW
+    EXECUTE FUNCTION update_status_changed_at_column();
+
 -- ============================================
 -- USEFUL VIEWS
 -- ============================================
@@ -234,6 +485,8 @@ FROM scores
 ORDER BY token_mint, ts DESC;
 
 -- View for active tokens with their latest score
+-- Dropped first: new tokens columns shift t.*, which CREATE OR REPLACE VIEW can't do
+DROP VIEW IF EXISTS active_tokens_scored;
 CREATE OR REPLACE VIEW active_tokens_scored AS
 SELECT
     t.*,
@@ -245,6 +498,41 @@ FROM tokens t
 LEFT JOIN latest_scores ls ON t.mint = ls.token_mint
 WHERE t.status = 'active';
 
+-- Wallets ranked by total PnL (wallet_stats only holds the latest run's wallets with WALLET_STATS_MIN_TOKENS traded)
+CREATE OR REPLACE VIEW wallet_leaderboard AS
+SELECT
+    RANK() OVER (ORDER BY total_pnl_sol DESC) AS rank,
+    ws.*,
+    tw.label AS tracked_label
+FROM wallet_stats ws
+LEFT JOIN tracked_wallets tw ON tw.wallet = ws.wallet;
+
+-- ============================================
+-- INGESTION QUEUE
+-- ============================================
+
+-- Claim due raw events for processing. Claimed rows are leased until locked_until, so
+-- concurrent workers skip them and a crashed worker's rows become due again.
+CREATE OR REPLACE FUNCTION claim_raw_events(batch_size INTEGER DEFAULT 50, lock_seconds INTEGER DEFAULT 120)
+RETURNS SETOF raw_events AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE raw_events r
+    SET locked_until = NOW() + (lock_seconds || ' seconds')::interval,
+        attempts = r.attempts + 1
+    WHERE r.id IN (
+        SELECT id FROM raw_events
+        WHERE processed = FALSE
+        AND next_attempt_at <= NOW()
+        AND (locked_until IS NULL OR locked_until < NOW())
+        ORDER BY created_at
+        LIMIT batch_size
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING r.*;
+END;
+$$ LANGUAGE plpgsql;
+
 -- ============================================
 -- CLEANUP FUNCTION (call periodically)
 -- ============================================
@@ -252,8 +540,10 @@ WHERE t.status = 'active';
 CREATE OR REPLACE FUNCTION cleanup_old_data(days_to_keep INTEGER DEFAULT 7)
 RETURNS void AS $$
 BEGIN
-    -- Delete old raw events
-    DELETE FROM raw_events WHERE created_at < NOW() - (days_to_keep || ' days')::interval;
+    -- Delete old raw events (unprocessed ones are still queued)
+    DELETE FROM raw_events
+    WHERE created_at < NOW() - (days_to_keep || ' days')::interval
+    AND processed = TRUE;
 
     -- Delete old swaps (keep more recent for active tokens)
     DELETE FROM swaps
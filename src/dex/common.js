@@ -0,0 +1,125 @@
+/**
+ * Shared quote mints and instruction decoding helpers for DEX adapters
+ */
+
+import { createHash } from 'crypto';
+import { decodeBase58 } from '../utils/base58.js';
+
+// Wrapped SOL
+export const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Known stablecoins
+export const STABLECOIN_MINTS = new Set([
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT
+]);
+
+// Decimals of the quote assets we value liquidity in (USDC and USDT both use 6)
+const SOL_DECIMALS = 9;
+const STABLECOIN_DECIMALS = 6;
+
+/**
+ * First 8 bytes of sha256("global:<name>"): the Anchor instruction discriminator
+ */
+export function anchorInstructionDiscriminator(name) {
+  return createHash('sha256').update(`global:${name}`).digest().subarray(0, 8);
+}
+
+/**
+ * Decode an instruction's base58 data, or null if it has none
+ */
+export function instructionData(ix) {
+  if (!ix?.data) return null;
+  try {
+    return decodeBase58(ix.data);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find which of the named Anchor instructions some data encodes
+ *
+ * @param {Buffer} data - Instruction data
+ * @param {Object} discriminators - name -> 8-byte discriminator
+ * @returns {string|null} Instruction name
+ */
+export function matchDiscriminator(data, discriminators) {
+  if (!data || data.length < 8) return null;
+  const head = data.subarray(0, 8);
+  for (const [name, discriminator] of Object.entries(discriminators)) {
+    if (head.equals(discriminator)) return name;
+  }
+  return null;
+}
+
+/**
+ * Read a u64 as a decimal string, or null if the buffer is too short
+ */
+export function readU64(data, offset) {
+  return data && data.length >= offset + 8 ? data.readBigUInt64LE(offset).toString() : null;
+}
+
+/**
+ * Read a u128 as a BigInt, or null if the buffer is too short
+ */
+export function readU128(data, offset) {
+  if (!data || data.length < offset + 16) return null;
+  return data.readBigUInt64LE(offset) + (data.readBigUInt64LE(offset + 8) << 64n);
+}
+
+/**
+ * Offset just past a Borsh string (u32 length prefix + bytes), or null if it runs past the data
+ */
+export function skipBorshString(data, offset) {
+  if (!data || data.length < offset + 4) return null;
+  const end = offset + 4 + data.readUInt32LE(offset);
+  return end <= data.length ? end : null;
+}
+
+/**
+ * Order a pool's two sides into base (the traded token) and quote (SOL or a stablecoin)
+ * Pools without a SOL or stablecoin side keep their on-chain order.
+ */
+export function orientPool({ mintA, mintB, vaultA = null, vaultB = null, amountA = null, amountB = null }) {
+  const bIsQuote = mintB === WSOL_MINT || (STABLECOIN_MINTS.has(mintB) && mintA !== WSOL_MINT);
+  const aIsQuote = !bIsQuote && (mintA === WSOL_MINT || STABLECOIN_MINTS.has(mintA));
+
+  if (aIsQuote) {
+    return {
+      base_mint: mintB,
+      quote_mint: mintA,
+      base_vault: vaultB,
+      quote_vault: vaultA,
+      base_amount: amountB,
+      quote_amount: amountA,
+    };
+  }
+  return {
+    base_mint: mintA,
+    quote_mint: mintB,
+    base_vault: vaultA,
+    quote_vault: vaultB,
+    base_amount: amountA,
+    quote_amount: amountB,
+  };
+}
+
+/**
+ * Value the initial deposit of a constant-product pool from its quote side
+ * Both sides hold equal value, so total = 2x quote
+ *
+ * @returns {{ liquidity_sol: number|null, liquidity_usd: number|null }}
+ */
+export function initialLiquidity(quoteMint, quoteAmountRaw) {
+  const raw = parseFloat(quoteAmountRaw);
+  if (!Number.isFinite(raw) || raw <= 0) return { liquidity_sol: null, liquidity_usd: null };
+
+  if (quoteMint === WSOL_MINT) {
+    return { liquidity_sol: (raw / 10 ** SOL_DECIMALS) * 2, liquidity_usd: null };
+  }
+  if (STABLECOIN_MINTS.has(quoteMint)) {
+    return { liquidity_sol: null, liquidity_usd: (raw / 10 ** STABLECOIN_DECIMALS) * 2 };
+  }
+  return { liquidity_sol: null, liquidity_usd: null };
+}
@@ -0,0 +1,22 @@
+/**
+ * Jupiter adapter
+ * Aggregator: routes swaps through other DEXes' pools and owns none itself
+ */
+
+export const jupiter = {
+  dex: 'jupiter_v6',
+  programId: 'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4',
+  sources: ['JUPITER'],
+  aggregator: true,
+  poolAccounts: [],
+  poolLayout: null,
+
+  decodePoolCreation() {
+    return null;
+  },
+
+  // Each hop appears as a CPI into the venue's own program, which its adapter decodes
+  decodeSwap() {
+    return null;
+  },
+};
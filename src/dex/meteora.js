@@ -0,0 +1,138 @@
+/**
+ * Meteora adapters
+ * DLMM and Dynamic AMM (pools): pool creation, swap instructions and pool account layouts
+ */
+
+import { anchorInstructionDiscriminator, instructionData, matchDiscriminator, readU64, orientPool } from './common.js';
+
+const DLMM_DISCRIMINATORS = {
+  initialize_lb_pair: anchorInstructionDiscriminator('initialize_lb_pair'),
+  initialize_customizable_permissionless_lb_pair: anchorInstructionDiscriminator(
+    'initialize_customizable_permissionless_lb_pair'
+  ),
+};
+
+const DLMM_SWAP_DISCRIMINATORS = {
+  swap: anchorInstructionDiscriminator('swap'),
+  swap_exact_out: anchorInstructionDiscriminator('swap_exact_out'),
+  swap_with_price_impact: anchorInstructionDiscriminator('swap_with_price_impact'),
+  swap2: anchorInstructionDiscriminator('swap2'),
+  swap_exact_out2: anchorInstructionDiscriminator('swap_exact_out2'),
+  swap_with_price_impact2: anchorInstructionDiscriminator('swap_with_price_impact2'),
+};
+
+const POOLS_SWAP_DISCRIMINATORS = {
+  swap: anchorInstructionDiscriminator('swap'),
+};
+
+const POOLS_DISCRIMINATORS = {
+  initialize_permissionless_pool: anchorInstructionDiscriminator('initialize_permissionless_pool'),
+  initialize_permissionless_constant_product_pool_with_config: anchorInstructionDiscriminator(
+    'initialize_permissionless_constant_product_pool_with_config'
+  ),
+};
+
+// Account positions per Dynamic AMM instruction (the config variant adds the config account
+// and the vaults' token accounts)
+const POOLS_LAYOUTS = {
+  initialize_permissionless_pool: { minAccounts: 16, pool: 0, lpMint: 1, mintA: 2, mintB: 3, payer: 15 },
+  initialize_permissionless_constant_product_pool_with_config: {
+    minAccounts: 19,
+    pool: 0,
+    lpMint: 2,
+    mintA: 3,
+    mintB: 4,
+    payer: 18,
+  },
+};
+
+// CurveType enum tag for constant-product pools (stable curves carry a variable-size payload)
+const CURVE_TYPE_CONSTANT_PRODUCT = 0;
+
+/**
+ * DLMM
+ * Pool creation is `initialize_lb_pair` / `initialize_customizable_permissionless_lb_pair`:
+ *   Accounts: 0 lbPair, 2 tokenMintX, 3 tokenMintY, 4 reserveX, 5 reserveY, 8 funder
+ *   Data: discriminator, activeId i32, binStep u16, ...
+ * Pairs are created empty; liquidity arrives with the first position.
+ */
+export const meteoraDlmm = {
+  dex: 'meteora_dlmm',
+  programId: 'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo',
+  sources: ['METEORA'],
+  poolAccounts: ['LbPair'],
+  poolLayout: { minLength: 216, mintA: 88, mintB: 120, vaultA: 152, vaultB: 184 },
+  concentrated: true,
+
+  decodePoolCreation(ix) {
+    const data = instructionData(ix);
+    const accounts = ix.accounts || [];
+    if (!matchDiscriminator(data, DLMM_DISCRIMINATORS) || accounts.length < 9 || data.length < 14) return null;
+
+    return {
+      pool_address: accounts[0],
+      lp_mint: null,
+      creator: accounts[8],
+      ...orientPool({
+        mintA: accounts[2],
+        mintB: accounts[3],
+        vaultA: accounts[4],
+        vaultB: accounts[5],
+      }),
+      active_bin_id: data.readInt32LE(8),
+      bin_step: data.readUInt16LE(12),
+    };
+  },
+
+  // All swap variants: 0 lbPair
+  decodeSwap(ix) {
+    if (!matchDiscriminator(instructionData(ix), DLMM_SWAP_DISCRIMINATORS) || !ix.accounts?.[0]) return null;
+    return { pool_address: ix.accounts[0] };
+  },
+};
+
+/**
+ * Dynamic AMM
+ * Pool creation is `initialize_permissionless_pool` / `..._constant_product_pool_with_config`:
+ *   Data: discriminator, [curveType enum (permissionless_pool only)], tokenAAmount u64, tokenBAmount u64
+ * Vaults are Meteora vault accounts rather than token accounts, so none are recorded.
+ */
+export const meteoraPools = {
+  dex: 'meteora_pools',
+  programId: 'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB',
+  sources: ['METEORA'],
+  poolAccounts: ['Pool'],
+  poolLayout: null,
+
+  decodePoolCreation(ix) {
+    const data = instructionData(ix);
+    const accounts = ix.accounts || [];
+    const name = matchDiscriminator(data, POOLS_DISCRIMINATORS);
+    const layout = POOLS_LAYOUTS[name];
+    if (!layout || accounts.length < layout.minAccounts) return null;
+
+    // Amounts follow the curve type; only the constant-product variant has a fixed size
+    let amountOffset = 8;
+    if (name === 'initialize_permissionless_pool') {
+      amountOffset = data[8] === CURVE_TYPE_CONSTANT_PRODUCT ? 9 : null;
+    }
+
+    return {
+      pool_address: accounts[layout.pool],
+      lp_mint: accounts[layout.lpMint],
+      creator: accounts[layout.payer],
+      ...orientPool({
+        mintA: accounts[layout.mintA],
+        mintB: accounts[layout.mintB],
+        amountA: amountOffset !== null ? readU64(data, amountOffset) : null,
+        amountB: amountOffset !== null ? readU64(data, amountOffset + 8) : null,
+      }),
+    };
+  },
+
+  // swap: 0 pool
+  decodeSwap(ix) {
+    if (!matchDiscriminator(instructionData(ix), POOLS_SWAP_DISCRIMINATORS) || !ix.accounts?.[0]) return null;
+    return { pool_address: ix.accounts[0] };
+  },
+};
@@ -0,0 +1,68 @@
+/**
+ * Moonshot adapter
+ * Bonding-curve token launches and trades
+ */
+
+import {
+  WSOL_MINT,
+  anchorInstructionDiscriminator,
+  instructionData,
+  matchDiscriminator,
+  readU64,
+  skipBorshString,
+} from './common.js';
+
+const MOONSHOT_DISCRIMINATORS = {
+  token_mint: anchorInstructionDiscriminator('token_mint'),
+};
+
+const TRADE_DISCRIMINATORS = {
+  buy: anchorInstructionDiscriminator('buy'),
+  sell: anchorInstructionDiscriminator('sell'),
+};
+
+/**
+ * Moonshot bonding curve
+ * Launch is `token_mint`:
+ *   Accounts: 0 sender, 2 curveAccount, 3 mint, 5 curveTokenAccount
+ *   Data: discriminator, name, symbol, uri (Borsh strings), decimals u8, collateralCurrency u8,
+ *     amount u64, curveType u8, migrationTarget u8
+ * The whole minted amount starts on the curve; no SOL is deposited.
+ */
+export const moonshot = {
+  dex: 'moonshot',
+  programId: 'MoonCVVNZFSYkqNXP6bxHLPL6QQJiMagDL3qcqUQTrG',
+  sources: ['MOONSHOT'],
+  poolAccounts: ['CurveAccount'],
+  poolLayout: null,
+
+  decodePoolCreation(ix) {
+    const data = instructionData(ix);
+    const accounts = ix.accounts || [];
+    if (!matchDiscriminator(data, MOONSHOT_DISCRIMINATORS) || accounts.length < 6) return null;
+
+    let offset = 8;
+    for (let i = 0; i < 3 && offset !== null; i++) {
+      offset = skipBorshString(data, offset);
+    }
+
+    return {
+      pool_address: accounts[2],
+      lp_mint: null,
+      creator: accounts[0],
+      base_mint: accounts[3],
+      quote_mint: WSOL_MINT,
+      base_vault: accounts[5],
+      quote_vault: null,
+      base_amount: offset !== null ? readU64(data, offset + 2) : null,
+      quote_amount: null,
+    };
+  },
+
+  // buy / sell: 2 curveAccount, 6 mint
+  decodeSwap(ix) {
+    const accounts = ix.accounts || [];
+    if (!matchDiscriminator(instructionData(ix), TRADE_DISCRIMINATORS) || accounts.length < 7) return null;
+    return { pool_address: accounts[2], base_mint: accounts[6] };
+  },
+};
@@ -0,0 +1,71 @@
+/**
+ * Orca adapter
+ * Whirlpool pool creation and swap instructions
+ */
+
+import { anchorInstructionDiscriminator, instructionData, matchDiscriminator, readU128, orientPool } from './common.js';
+
+const WHIRLPOOL_DISCRIMINATORS = {
+  initialize_pool: anchorInstructionDiscriminator('initialize_pool'),
+  initialize_pool_v2: anchorInstructionDiscriminator('initialize_pool_v2'),
+};
+
+// Whirlpool account position per swap instruction (v2 adds per-side token programs and memo)
+const WHIRLPOOL_SWAP_POOL_INDEX = {
+  swap: 2,
+  swap_v2: 4,
+};
+
+const WHIRLPOOL_SWAP_DISCRIMINATORS = {
+  swap: anchorInstructionDiscriminator('swap'),
+  swap_v2: anchorInstructionDiscriminator('swap_v2'),
+};
+
+// Account and data positions per instruction version (v2 adds token badges and per-side token programs)
+const WHIRLPOOL_LAYOUTS = {
+  initialize_pool: { minAccounts: 7, mintA: 1, mintB: 2, funder: 3, pool: 4, vaultA: 5, vaultB: 6, sqrtPrice: 11 },
+  initialize_pool_v2: { minAccounts: 9, mintA: 1, mintB: 2, funder: 5, pool: 6, vaultA: 7, vaultB: 8, sqrtPrice: 10 },
+};
+
+/**
+ * Whirlpool
+ * Pool creation is `initialize_pool` / `initialize_pool_v2`:
+ *   Data: discriminator, [bump u8 (v1 only)], tickSpacing u16, initialSqrtPrice u128
+ * Whirlpools are created empty; liquidity arrives with the first position.
+ * Vaults are not at fixed offsets of the pool account, so liquidity uses the pool's owned token accounts.
+ */
+export const orcaWhirlpool = {
+  dex: 'orca_whirlpool',
+  programId: 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',
+  sources: ['ORCA'],
+  poolAccounts: ['Whirlpool'],
+  poolLayout: null,
+  concentrated: true,
+
+  decodePoolCreation(ix) {
+    const data = instructionData(ix);
+    const accounts = ix.accounts || [];
+    const name = matchDiscriminator(data, WHIRLPOOL_DISCRIMINATORS);
+    const layout = WHIRLPOOL_LAYOUTS[name];
+    if (!layout || accounts.length < layout.minAccounts) return null;
+
+    return {
+      pool_address: accounts[layout.pool],
+      lp_mint: null,
+      creator: accounts[layout.funder],
+      ...orientPool({
+        mintA: accounts[layout.mintA],
+        mintB: accounts[layout.mintB],
+        vaultA: accounts[layout.vaultA],
+        vaultB: accounts[layout.vaultB],
+      }),
+      sqrt_price_x64: readU128(data, layout.sqrtPrice)?.toString() ?? null,
+    };
+  },
+
+  decodeSwap(ix) {
+    const name = matchDiscriminator(instructionData(ix), WHIRLPOOL_SWAP_DISCRIMINATORS);
+    const poolAddress = name ? ix.accounts?.[WHIRLPOOL_SWAP_POOL_INDEX[name]] : null;
+    return poolAddress ? { pool_address: poolAddress } : null;
+  },
+};
@@ -0,0 +1,109 @@
+/**
+ * Pump.fun adapters
+ * Bonding-curve launches and trades, and PumpSwap (Pump.fun AMM) pools including graduation migrations
+ */
+
+import {
+  WSOL_MINT,
+  anchorInstructionDiscriminator,
+  instructionData,
+  matchDiscriminator,
+  readU64,
+  orientPool,
+} from './common.js';
+
+const PUMP_FUN_DISCRIMINATORS = {
+  create: anchorInstructionDiscriminator('create'),
+};
+
+const PUMP_AMM_DISCRIMINATORS = {
+  create_pool: anchorInstructionDiscriminator('create_pool'),
+};
+
+// Both programs name their trades buy / sell
+const TRADE_DISCRIMINATORS = {
+  buy: anchorInstructionDiscriminator('buy'),
+  sell: anchorInstructionDiscriminator('sell'),
+};
+
+/**
+ * Pump.fun bonding curve
+ * Launch is `create`:
+ *   Accounts: 0 mint, 2 bondingCurve, 3 associatedBondingCurve, 7 user
+ * The curve holds SOL natively and starts with no real reserves, so there is no initial deposit.
+ * Curve state is decoded by pools/bonding_curve.js rather than as a vault layout.
+ */
+export const pumpFun = {
+  dex: 'pump_fun',
+  programId: '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',
+  sources: ['PUMP_FUN'],
+  poolAccounts: ['BondingCurve'],
+  poolLayout: null,
+
+  decodePoolCreation(ix) {
+    const data = instructionData(ix);
+    const accounts = ix.accounts || [];
+    if (!matchDiscriminator(data, PUMP_FUN_DISCRIMINATORS) || accounts.length < 8) return null;
+
+    return {
+      pool_address: accounts[2],
+      lp_mint: null,
+      creator: accounts[7],
+      base_mint: accounts[0],
+      quote_mint: WSOL_MINT,
+      base_vault: accounts[3],
+      quote_vault: null,
+      base_amount: null,
+      quote_amount: null,
+    };
+  },
+
+  // buy / sell: 2 mint, 3 bondingCurve
+  decodeSwap(ix) {
+    const accounts = ix.accounts || [];
+    if (!matchDiscriminator(instructionData(ix), TRADE_DISCRIMINATORS) || accounts.length < 4) return null;
+    return { pool_address: accounts[3], base_mint: accounts[2] };
+  },
+};
+
+/**
+ * PumpSwap
+ * Pool creation is `create_pool` (also invoked by the bonding curve's `migrate` on graduation):
+ *   Accounts: 0 pool, 2 creator, 3 baseMint, 4 quoteMint, 5 lpMint, 9 poolBaseTokenAccount,
+ *     10 poolQuoteTokenAccount
+ *   Data: discriminator, index u16, baseAmountIn u64, quoteAmountIn u64, ...
+ */
+export const pumpFunAmm = {
+  dex: 'pump_fun_amm',
+  programId: 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA',
+  sources: ['PUMP_AMM'],
+  poolAccounts: ['Pool'],
+  poolLayout: { minLength: 211, mintA: 43, mintB: 75, lpMint: 107, vaultA: 139, vaultB: 171, lpSupply: 203 },
+
+  decodePoolCreation(ix) {
+    const data = instructionData(ix);
+    const accounts = ix.accounts || [];
+    if (!matchDiscriminator(data, PUMP_AMM_DISCRIMINATORS) || accounts.length < 11) return null;
+
+    return {
+      pool_address: accounts[0],
+      lp_mint: accounts[5],
+      creator: accounts[2],
+      ...orientPool({
+        mintA: accounts[3],
+        mintB: accounts[4],
+        vaultA: accounts[9],
+        vaultB: accounts[10],
+        amountA: readU64(data, 10),
+        amountB: readU64(data, 18),
+      }),
+    };
+  },
+
+  // buy / sell: 0 pool, 3 baseMint
+  decodeSwap(ix) {
+    const accounts = ix.accounts || [];
+    if (!matchDiscriminator(instructionData(ix), TRADE_DISCRIMINATORS) || accounts.length < 4) return null;
+    return { pool_address: accounts[0], base_mint: accounts[3] };
+  },
+};
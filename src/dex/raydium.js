@@ -0,0 +1,160 @@
+/**
+ * Raydium adapters
+ * AMM V4, CP-Swap and CLMM: pool creation, swap instructions and pool account layouts
+ */
+
+import {
+  anchorInstructionDiscriminator,
+  instructionData,
+  matchDiscriminator,
+  readU64,
+  readU128,
+  orientPool,
+} from './common.js';
+
+// AMM V4 is a native program: the first data byte is the instruction tag
+const V4_INITIALIZE2_TAG = 1;
+const V4_SWAP_TAGS = new Set([9, 11]); // swap_base_in, swap_base_out
+
+const CP_DISCRIMINATORS = {
+  initialize: anchorInstructionDiscriminator('initialize'),
+};
+
+const CP_SWAP_DISCRIMINATORS = {
+  swap_base_input: anchorInstructionDiscriminator('swap_base_input'),
+  swap_base_output: anchorInstructionDiscriminator('swap_base_output'),
+};
+
+const CLMM_DISCRIMINATORS = {
+  create_pool: anchorInstructionDiscriminator('create_pool'),
+};
+
+const CLMM_SWAP_DISCRIMINATORS = {
+  swap: anchorInstructionDiscriminator('swap'),
+  swap_v2: anchorInstructionDiscriminator('swap_v2'),
+};
+
+/**
+ * AMM V4
+ * Pool creation is `initialize2`:
+ *   Accounts: 4 amm, 7 lpMint, 8 coinMint, 9 pcMint, 10 coinVault, 11 pcVault, 17 userWallet
+ *   Data: tag u8, nonce u8, openTime u64, initPcAmount u64, initCoinAmount u64
+ */
+export const raydiumV4 = {
+  dex: 'raydium_v4',
+  programId: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
+  sources: ['RAYDIUM'],
+  poolAccounts: [],
+  poolLayout: { minLength: 752, vaultA: 336, vaultB: 368, mintA: 400, mintB: 432, lpMint: 464, lpSupply: 720 },
+
+  decodePoolCreation(ix) {
+    const data = instructionData(ix);
+    const accounts = ix.accounts || [];
+    if (!data || data[0] !== V4_INITIALIZE2_TAG || data.length < 26 || accounts.length < 18) return null;
+
+    return {
+      pool_address: accounts[4],
+      lp_mint: accounts[7],
+      creator: accounts[17],
+      ...orientPool({
+        mintA: accounts[8],
+        mintB: accounts[9],
+        vaultA: accounts[10],
+        vaultB: accounts[11],
+        amountA: readU64(data, 18),
+        amountB: readU64(data, 10),
+      }),
+      open_time: Number(readU64(data, 2)) || null,
+    };
+  },
+
+  // swap_base_in / swap_base_out: 1 amm
+  decodeSwap(ix) {
+    const data = instructionData(ix);
+    if (!data || !V4_SWAP_TAGS.has(data[0]) || !ix.accounts?.[1]) return null;
+    return { pool_address: ix.accounts[1] };
+  },
+};
+
+/**
+ * CP-Swap
+ * Pool creation is `initialize`:
+ *   Accounts: 0 creator, 3 poolState, 4 token0Mint, 5 token1Mint, 6 lpMint, 10 token0Vault, 11 token1Vault
+ *   Data: discriminator, initAmount0 u64, initAmount1 u64, openTime u64
+ */
+export const raydiumCp = {
+  dex: 'raydium_cp',
+  programId: 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C',
+  sources: ['RAYDIUM'],
+  poolAccounts: ['PoolState'],
+  poolLayout: { minLength: 341, vaultA: 72, vaultB: 104, lpMint: 136, mintA: 168, mintB: 200, lpSupply: 333 },
+
+  decodePoolCreation(ix) {
+    const data = instructionData(ix);
+    const accounts = ix.accounts || [];
+    if (!matchDiscriminator(data, CP_DISCRIMINATORS) || accounts.length < 12) return null;
+
+    return {
+      pool_address: accounts[3],
+      lp_mint: accounts[6],
+      creator: accounts[0],
+      ...orientPool({
+        mintA: accounts[4],
+        mintB: accounts[5],
+        vaultA: accounts[10],
+        vaultB: accounts[11],
+        amountA: readU64(data, 8),
+        amountB: readU64(data, 16),
+      }),
+      open_time: Number(readU64(data, 24)) || null,
+    };
+  },
+
+  // swap_base_input / swap_base_output: 3 poolState
+  decodeSwap(ix) {
+    if (!matchDiscriminator(instructionData(ix), CP_SWAP_DISCRIMINATORS) || !ix.accounts?.[3]) return null;
+    return { pool_address: ix.accounts[3] };
+  },
+};
+
+/**
+ * CLMM
+ * Pool creation is `create_pool`:
+ *   Accounts: 0 poolCreator, 2 poolState, 3 tokenMint0, 4 tokenMint1, 5 tokenVault0, 6 tokenVault1
+ *   Data: discriminator, sqrtPriceX64 u128, openTime u64
+ * Concentrated pools are created empty; liquidity arrives with the first position.
+ */
+export const raydiumClmm = {
+  dex: 'raydium_clmm',
+  programId: 'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK',
+  sources: ['RAYDIUM'],
+  poolAccounts: ['PoolState'],
+  poolLayout: null,
+  concentrated: true,
+
+  decodePoolCreation(ix) {
+    const data = instructionData(ix);
+    const accounts = ix.accounts || [];
+    if (!matchDiscriminator(data, CLMM_DISCRIMINATORS) || accounts.length < 7) return null;
+
+    return {
+      pool_address: accounts[2],
+      lp_mint: null,
+      creator: accounts[0],
+      ...orientPool({
+        mintA: accounts[3],
+        mintB: accounts[4],
+        vaultA: accounts[5],
+        vaultB: accounts[6],
+      }),
+      sqrt_price_x64: readU128(data, 8)?.toString() ?? null,
+      open_time: Number(readU64(data, 24)) || null,
+    };
+  },
+
+  // swap / swap_v2: 2 poolState
+  decodeSwap(ix) {
+    if (!matchDiscriminator(instructionData(ix), CLMM_SWAP_DISCRIMINATORS) || !ix.accounts?.[2]) return null;
+    return { pool_address: ix.accounts[2] };
+  },
+};
@@ -0,0 +1,146 @@
+/**
+ * DEX adapter registry
+ * Every venue is one adapter module; the webhook pipeline dispatches to them by program ID
+ *
+ * An adapter is an object with:
+ *   dex                    - name stored on pools and swaps (e.g. 'raydium_v4')
+ *   programId              - the program's on-chain ID
+ *   sources                - Helius `source` labels of its transactions
+ *   aggregator             - true for routers that own no pools (optional)
+ *   poolAccounts           - Anchor account names of its pool state (empty for native programs)
+ *   poolLayout             - byte offsets of vaults / mints / LP in the pool account, or null
+ *                            to find vaults among the pool's token accounts
+ *   concentrated           - true for concentrated-liquidity pools, whose two sides need not
+ *                            hold equal value (optional)
+ *   decodePoolCreation(ix) - pool created by an instruction, or null
+ *   decodeSwap(ix)         - { pool_address, base_mint? } traded by an instruction, or null
+ *
+ * Adapters identify venues and pools. Swap amounts and sides are computed from each
+ * transaction's token transfers for every venue, and bonding-curve state (curve progress,
+ * graduation) is specific to Pump.fun in src/pools/bonding_curve.js.
+ * Adding a venue means writing its adapter and listing it in DEX_ADAPTERS.
+ */
+
+import { initialLiquidity } from './common.js';
+import { raydiumV4, raydiumCp, raydiumClmm } from './raydium.js';
+import { orcaWhirlpool } from './orca.js';
+import { meteoraDlmm, meteoraPools } from './meteora.js';
+import { pumpFun, pumpFunAmm } from './pump.js';
+import { moonshot } from './moonshot.js';
+import { jupiter } from './jupiter.js';
+
+export const DEX_ADAPTERS = [
+  raydiumV4,
+  raydiumCp,
+  raydiumClmm,
+  orcaWhirlpool,
+  meteoraDlmm,
+  meteoraPools,
+  pumpFun,
+  pumpFunAmm,
+  moonshot,
+  jupiter,
+];
+
+// Program IDs by upper-cased DEX name (e.g. DEX_PROGRAMS.PUMP_FUN)
+export const DEX_PROGRAMS = Object.fromEntries(DEX_ADAPTERS.map((a) => [a.dex.toUpperCase(), a.programId]));
+
+const adaptersByProgram = new Map(DEX_ADAPTERS.map((a) => [a.programId, a]));
+const adaptersByDex = new Map(DEX_ADAPTERS.map((a) => [a.dex, a]));
+
+/**
+ * Adapter for a program ID, or null
+ */
+export function getAdapterByProgram(programId) {
+  return adaptersByProgram.get(programId) || null;
+}
+
+/**
+ * Adapter for a DEX name, or null
+ */
+export function getAdapter(dex) {
+  return adaptersByDex.get(dex) || null;
+}
+
+/**
+ * Whether a Helius `source` label belongs to a known DEX
+ */
+export function isDexSource(source) {
+  const label = source?.toUpperCase();
+  return !!label && DEX_ADAPTERS.some((a) => a.sources.includes(label));
+}
+
+/**
+ * Visit every instruction of a transaction, top level and CPI, with the adapter owning it
+ */
+function forEachDexInstruction(tx, visit) {
+  const dispatch = (ix) => {
+    const adapter = getAdapterByProgram(ix?.programId);
+    if (adapter) visit(adapter, ix);
+  };
+
+  for (const ix of tx?.instructions || []) {
+    dispatch(ix);
+    for (const inner of ix.innerInstructions || []) {
+      dispatch(inner);
+    }
+  }
+}
+
+/**
+ * Whether a transaction calls any known DEX program
+ */
+export function hasDexInstruction(tx) {
+  let found = false;
+  forEachDexInstruction(tx, () => {
+    found = true;
+  });
+  return found;
+}
+
+/**
+ * Decode every pool created in a transaction
+ * Inner instructions are included so CPI-created pools (e.g. Pump.fun migrations) are found.
+ *
+ * @param {Object} tx - Helius enhanced transaction
+ * @returns {Object[]} { dex, pool_address, base_mint, quote_mint, base_vault, quote_vault, base_amount,
+ *   quote_amount, lp_mint, creator, liquidity_sol, liquidity_usd, ... } with amounts as raw integer strings
+ */
+export function decodePoolCreations(tx) {
+  const pools = [];
+
+  forEachDexInstruction(tx, (adapter, ix) => {
+    const decoded = adapter.decodePoolCreation(ix);
+    if (!decoded?.pool_address || !decoded.base_mint) return;
+    if (pools.some((p) => p.pool_address === decoded.pool_address)) return;
+
+    pools.push({
+      dex: adapter.dex,
+      ...decoded,
+      ...(adapter.concentrated
+        ? { liquidity_sol: null, liquidity_usd: null }
+        : initialLiquidity(decoded.quote_mint, decoded.quote_amount)),
+    });
+  });
+
+  return pools;
+}
+
+/**
+ * Decode the pools a transaction swaps through, in instruction order
+ *
+ * @returns {Object[]} { dex, pool_address, base_mint } (base_mint only where the instruction names it)
+ */
+export function decodeSwapVenues(tx) {
+  const venues = [];
+
+  forEachDexInstruction(tx, (adapter, ix) => {
+    const decoded = adapter.decodeSwap(ix);
+    if (!decoded?.pool_address) return;
+    if (venues.some((v) => v.pool_address === decoded.pool_address)) return;
+
+    venues.push({ dex: adapter.dex, pool_address: decoded.pool_address, base_mint: decoded.base_mint || null });
+  });
+
+  return venues;
+}
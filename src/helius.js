@@ -1,27 +1,24 @@
 /**
- * Helius webhook validation and parsing
+ * Helius webhook parsing and API calls
  * Handles incoming webhook events from Helius
  */
 
 import { createLogger } from './utils/logger.js';
 import { checkAndMarkSignature } from './utils/dedupe.js';
+import { registerPool, getRegisteredPool } from './pools/registry.js';
+import {
+  DEX_PROGRAMS,
+  getAdapterByProgram,
+  decodePoolCreations,
+  decodeSwapVenues,
+  hasDexInstruction,
+  isDexSource,
+} from './dex/registry.js';
+import { WSOL_MINT, STABLECOIN_MINTS } from './dex/common.js';
+import { isRawTransaction, normalizeRawTransaction } from './transactions/raw.js';
 
 const log = createLogger('helius');
 
-// Known DEX program IDs on Solana
-const DEX_PROGRAMS = {
-  RAYDIUM_V4: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
-  RAYDIUM_CLMM: 'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK',
-  RAYDIUM_CP: 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C',
-  ORCA_WHIRLPOOL: 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',
-  METEORA_DLMM: 'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo',
-  METEORA_POOLS: 'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB',
-  PUMP_FUN: '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',
-  PUMP_FUN_AMM: 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA',
-  JUPITER_V6: 'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4',
-  MOONSHOT: 'MoonCVVNZFSYkqNXP6bxHLPL6QQJiMagDL3qcqUQTrG',
-};
-
 // SPL Token Program
 const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
 const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
@@ -29,51 +26,24 @@ const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
 // System Program
 const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
 
-// Wrapped SOL
-const WSOL_MINT = 'So11111111111111111111111111111111111111112';
-
-// Known stablecoins
-const STABLECOIN_MINTS = new Set([
-  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
-  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT
-]);
-
-/**
- * Validate webhook secret
- */
-export function validateWebhookSecret(request) {
-  const secret = process.env.HELIUS_WEBHOOK_SECRET;
-  if (!secret) {
-    log.warn('HELIUS_WEBHOOK_SECRET not configured, skipping validation');
-    return true;
-  }
-
-  // Check header (Helius sends as Authorization header or custom header)
-  const authHeader = request.headers['authorization'] || request.headers['x-webhook-secret'];
-
-  if (authHeader === secret || authHeader === `Bearer ${secret}`) {
-    return true;
-  }
-
-  // Check query param
-  const querySecret = request.query?.secret;
-  if (querySecret === secret) {
-    return true;
-  }
-
-  log.warn('Webhook secret validation failed');
-  return false;
-}
+// Max accounts per swap sent for pool verification
+const MAX_POOL_CANDIDATES = 16;
 
 /**
  * Parse Helius webhook payload
- * Extracts relevant token and swap information
+ * Extracts relevant token and swap information. Accepts enhanced transactions as well as
+ * raw / jsonParsed ones, which are normalized to the enhanced shape first.
+ *
+ * @param {Object|Object[]} payload - Transaction(s)
+ * @param {Object} options
+ * @param {boolean} options.dedupe - Skip signatures already parsed by this process
  */
-export function parseWebhookPayload(payload) {
+export function parseWebhookPayload(payload, { dedupe = true } = {}) {
   const results = {
     tokens: [], // New token candidates
     swaps: [], // Swap transactions
     pools: [], // New pool creations
+    failed: [], // Signatures of transactions that could not be parsed
     raw: payload, // Store raw for debugging
   };
 
@@ -82,12 +52,14 @@ export function parseWebhookPayload(payload) {
 
   for (const tx of transactions) {
     try {
-      const parsed = parseTransaction(tx);
+      const parsed = parseTransaction(isRawTransaction(tx) ? normalizeRawTransaction(tx) : tx, dedupe);
       if (parsed.token) results.tokens.push(parsed.token);
-      if (parsed.swap) results.swaps.push(parsed.swap);
-      if (parsed.pool) results.pools.push(parsed.pool);
+      results.swaps.push(...parsed.swaps);
+      results.pools.push(...parsed.pools);
     } catch (err) {
-      log.error('Failed to parse transaction', { error: err.message, signature: tx?.signature });
+      const signature = getTransactionSignature(tx);
+      log.error('Failed to parse transaction', { error: err.message, signature });
+      results.failed.push(signature);
     }
   }
 
@@ -97,42 +69,48 @@ export function parseWebhookPayload(payload) {
 /**
  * Parse a single transaction
  */
-function parseTransaction(tx) {
+function parseTransaction(tx, dedupe) {
   const result = {
     token: null,
-    swap: null,
-    pool: null,
+    swaps: [],
+    pools: [],
   };
 
-  if (!tx) return result;
+  // Failed transactions moved nothing but fees
+  if (!tx || tx.transactionError) return result;
 
   const signature = tx.signature;
 
   // Skip if already processed
-  if (signature && !checkAndMarkSignature(signature)) {
+  if (dedupe && signature && !checkAndMarkSignature(signature)) {
     return result;
   }
 
+  // Pools created by a known DEX instruction, whatever the transaction is typed as
+  // (Pump.fun launches and migrations usually arrive as SWAP or CREATE)
+  result.pools = parsePoolCreations(tx);
+
+  // Pools the transaction trades through, decoded by each DEX's adapter
+  const venues = decodeSwapVenues(tx);
+
   // Try to identify transaction type
-  const type = tx.type || identifyTransactionType(tx);
+  const type = identifyTransactionType(tx, venues, result.pools);
 
   switch (type) {
     case 'SWAP':
-      result.swap = parseSwapTransaction(tx);
-      if (result.swap) {
-        result.token = {
-          mint: result.swap.token_mint,
-          source: 'swap',
-        };
-      }
+      // Every swap's token is upserted before the swap is stored, so no separate token entry is needed
+      result.swaps = parseSwapTransaction(tx, venues);
       break;
 
     case 'CREATE_POOL':
     case 'INITIALIZE_POOL':
-      result.pool = parsePoolCreation(tx);
-      if (result.pool) {
+      if (result.pools.length === 0) {
+        const pool = parsePoolCreationHeuristic(tx);
+        if (pool) result.pools.push(pool);
+      }
+      if (result.pools.length > 0) {
         result.token = {
-          mint: result.pool.token_mint,
+          mint: result.pools[0].token_mint,
           source: 'pool_creation',
         };
       }
@@ -153,17 +131,15 @@ function parseTransaction(tx) {
 
 /**
  * Identify transaction type from its structure
+ * A swap or pool-creation instruction of a known DEX decides it whatever Helius labelled it
+ * (raw transactions carry no label at all).
  */
-function identifyTransactionType(tx) {
-  // Check source if available
-  if (tx.source) {
-    const source = tx.source.toUpperCase();
-    if (source.includes('RAYDIUM') || source.includes('ORCA') || source.includes('METEORA')) {
-      return 'SWAP';
-    }
-    if (source.includes('PUMP')) {
-      return 'SWAP';
-    }
+function identifyTransactionType(tx, venues, pools) {
+  if (venues.length > 0) {
+    return 'SWAP';
+  }
+  if (pools.length > 0) {
+    return 'CREATE_POOL';
   }
 
   // Check type field
@@ -171,13 +147,9 @@ function identifyTransactionType(tx) {
     return tx.type.toUpperCase();
   }
 
-  // Check instructions for DEX program IDs
-  const instructions = tx.instructions || tx.accountData || [];
-  for (const ix of instructions) {
-    const programId = ix.programId || ix.program;
-    if (programId && Object.values(DEX_PROGRAMS).includes(programId)) {
-      return 'SWAP';
-    }
+  // Other calls into a DEX (e.g. an aggregator without inner instructions), or its source label
+  if (hasDexInstruction(tx) || isDexSource(tx.source)) {
+    return 'SWAP';
   }
 
   // Check for token transfers
@@ -190,119 +162,327 @@ function identifyTransactionType(tx) {
 
 /**
  * Parse swap transaction
+ * Works from the fee payer's net balance changes, so intermediate tokens of a routed
+ * (Jupiter / multi-hop) swap net out to zero and are ignored. Returns one swap per token
+ * the fee payer actually bought or sold.
+ *
+ * @returns {Object[]} Parsed swaps (empty if no token changed hands)
  */
-function parseSwapTransaction(tx) {
+function parseSwapTransaction(tx, venues) {
   const signature = tx.signature;
   const timestamp = tx.timestamp ? new Date(tx.timestamp * 1000).toISOString() : new Date().toISOString();
+  const feePayer = tx.feePayer;
 
-  // Try to extract swap details from different formats
-  let tokenMint = null;
-  let side = 'unknown';
-  let amountUsd = null;
-  let amountToken = null;
-  let amountSol = null;
-  let buyer = null;
-  let seller = null;
-  let poolAddress = null;
+  const changes = feePayerBalanceChanges(tx);
 
-  // Check tokenTransfers (Helius enhanced format)
-  if (tx.tokenTransfers && tx.tokenTransfers.length > 0) {
-    for (const transfer of tx.tokenTransfers) {
-      const mint = transfer.mint;
+  // Legs: non-quote tokens whose balance changed
+  const legs = [...changes.tokens]
+    .filter(([mint, delta]) => delta !== 0 && mint !== WSOL_MINT && !STABLECOIN_MINTS.has(mint))
+    .map(([mint, delta]) => ({
+      mint,
+      delta,
+      side: delta > 0 ? 'buy' : 'sell',
+      counterparties: legCounterparties(tx, mint),
+    }));
+
+  if (legs.length === 0) return [];
+
+  // Attribute to a known pool, or keep candidates for ownership verification
+  const poolCandidates = collectPoolCandidates(tx);
+
+  return legs.map((leg) => {
+    // The net quote change belongs to a single leg; several legs need per-leg transfers
+    const quote = legs.length === 1 ? netQuote(changes, leg) : legQuoteFromTransfers(tx, leg, legs);
+
+    const amountToken = Math.abs(leg.delta);
+    const candidates = [
+      ...poolCandidates.filter((c) => leg.counterparties.has(c)),
+      ...poolCandidates.filter((c) => !leg.counterparties.has(c)),
+    ];
+    const venue = swapVenue(venues, leg, legs);
+    const poolAddress =
+      venue?.pool_address ||
+      candidates.find((account) => getRegisteredPool(account)?.token_mint === leg.mint) ||
+      candidates.find((account) => isDexPool(account)) ||
+      null;
+
+    // SOL-quoted swaps are valued now; stablecoin legs get their SOL equivalent when priced in USD
+    const amountSol = quote?.mint === WSOL_MINT ? quote.amount : null;
+    const priceSol = amountSol > 0 ? amountSol / amountToken : null;
 
-      // Skip SOL and stablecoins to find the meme token
-      if (mint === WSOL_MINT || STABLECOIN_MINTS.has(mint)) {
-        // This might be the quote token
-        if (transfer.tokenAmount) {
-          amountSol = parseFloat(transfer.tokenAmount) || null;
-        }
-        continue;
-      }
+    return {
+      token_mint: leg.mint,
+      signature,
+      ts: timestamp,
+      slot: tx.slot ?? null,
+      side: leg.side,
+      amount_usd: null,
+      amount_token: amountToken,
+      amount_sol: amountSol,
+      quote_mint: quote?.mint ?? null,
+      quote_amount: quote?.amount ?? null,
+      buyer: leg.side === 'buy' ? feePayer : null,
+      seller: leg.side === 'sell' ? feePayer : null,
+      pool_address: poolAddress,
+      price_sol: priceSol,
+      price_usd: null,
+      meta: {
+        source: tx.source || 'unknown',
+        type: tx.type,
+        fee_payer: feePayer,
+        legs: legs.length > 1 ? legs.length : undefined,
+        balance_source: changes.source,
+        dex: venue?.dex ?? (poolAddress ? getRegisteredPool(poolAddress).dex : undefined),
+        pool_candidates: poolAddress ? undefined : candidates,
+      },
+    };
+  });
+}
 
-      // This is likely the meme token
-      tokenMint = mint;
-      amountToken = parseFloat(transfer.tokenAmount) || null;
-
-      // Determine buy/sell based on direction
-      if (transfer.toUserAccount === tx.feePayer) {
-        side = 'buy';
-        buyer = tx.feePayer;
-      } else if (transfer.fromUserAccount === tx.feePayer) {
-        side = 'sell';
-        seller = tx.feePayer;
-      }
-    }
+/**
+ * The decoded swap instruction that traded a leg's token, or null
+ * A venue matches when its instruction names the mint or its pool is known to trade it; a lone
+ * venue in a single-leg swap must be that leg's pool. Matched pools are registered as verified.
+ */
+function swapVenue(venues, leg, legs) {
+  const venue =
+    venues.find((v) => v.base_mint === leg.mint) ||
+    venues.find((v) => getRegisteredPool(v.pool_address)?.token_mint === leg.mint) ||
+    (venues.length === 1 && legs.length === 1 ? venues[0] : null);
+
+  if (venue) {
+    registerPool({ pool_address: venue.pool_address, dex: venue.dex, token_mint: leg.mint }, true);
   }
+  return venue;
+}
+
+/**
+ * Net balance changes of the fee payer across a transaction, in UI units (positive = received)
+ * Uses accountData when present. Lamports held in the fee payer's token accounts (ATA rent,
+ * wrapped SOL) count as its SOL, and the network fee is added back so only trading flows remain.
+ * Without accountData, falls back to the transfer lists.
+ *
+ * @returns {{ tokens: Map<string, number>, sol: number, source: string }}
+ */
+function feePayerBalanceChanges(tx) {
+  const feePayer = tx.feePayer;
+  const tokens = new Map();
+  const add = (mint, delta) => tokens.set(mint, (tokens.get(mint) || 0) + delta);
 
-  // Try nativeTransfers for SOL amount
-  if (tx.nativeTransfers && tx.nativeTransfers.length > 0) {
-    let totalSol = 0;
-    for (const transfer of tx.nativeTransfers) {
-      if (transfer.amount) {
-        totalSol += Math.abs(transfer.amount);
+  if (tx.accountData?.length > 0) {
+    const ownTokenAccounts = new Set();
+    for (const acc of tx.accountData) {
+      for (const change of acc.tokenBalanceChanges || []) {
+        if (!change.mint || change.userAccount !== feePayer) continue;
+        ownTokenAccounts.add(change.tokenAccount);
+
+        // Wrapped SOL moves with the token account's lamports, counted below
+        if (change.mint === WSOL_MINT) continue;
+
+        const raw = change.rawTokenAmount;
+        add(change.mint, (parseFloat(raw?.tokenAmount) || 0) / Math.pow(10, raw?.decimals || 0));
       }
     }
-    if (totalSol > 0 && !amountSol) {
-      amountSol = totalSol / 1e9; // Convert lamports to SOL
+
+    let lamports = tx.fee || 0;
+    for (const acc of tx.accountData) {
+      if (acc.account === feePayer || ownTokenAccounts.has(acc.account)) {
+        lamports += acc.nativeBalanceChange || 0;
+      }
     }
+
+    return { tokens, sol: lamports / 1e9, source: 'account_data' };
+  }
+
+  let wsol = 0;
+  for (const transfer of tx.tokenTransfers || []) {
+    const amount = parseFloat(transfer.tokenAmount) || 0;
+    const delta =
+      (transfer.toUserAccount === feePayer ? amount : 0) - (transfer.fromUserAccount === feePayer ? amount : 0);
+    if (!transfer.mint || delta === 0) continue;
+
+    if (transfer.mint === WSOL_MINT) wsol += delta;
+    else add(transfer.mint, delta);
+  }
+
+  let lamports = 0;
+  for (const transfer of tx.nativeTransfers || []) {
+    if (transfer.toUserAccount === feePayer) lamports += transfer.amount || 0;
+    if (transfer.fromUserAccount === feePayer) lamports -= transfer.amount || 0;
   }
 
-  // Check swap event if available (Helius parsed format)
-  if (tx.events?.swap) {
-    const swap = tx.events.swap;
-    tokenMint = tokenMint || swap.tokenOutputs?.[0]?.mint || swap.tokenInputs?.[0]?.mint;
-    if (swap.nativeOutput?.amount) {
-      side = 'sell';
-      seller = tx.feePayer;
-    } else if (swap.nativeInput?.amount) {
-      side = 'buy';
-      buyer = tx.feePayer;
+  // Wrapping shows up as both a native and a WSOL transfer; prefer the native side
+  return { tokens, sol: lamports !== 0 ? lamports / 1e9 : wsol, source: 'transfers' };
+}
+
+/**
+ * Accounts on the other side of the fee payer's transfers of a mint (pool vault owners)
+ */
+function legCounterparties(tx, mint) {
+  const counterparties = new Set();
+  for (const transfer of tx.tokenTransfers || []) {
+    if (transfer.mint !== mint) continue;
+    if (transfer.toUserAccount === tx.feePayer && transfer.fromUserAccount) {
+      counterparties.add(transfer.fromUserAccount);
+    } else if (transfer.fromUserAccount === tx.feePayer && transfer.toUserAccount) {
+      counterparties.add(transfer.toUserAccount);
     }
   }
+  counterparties.delete(tx.feePayer);
+  return counterparties;
+}
 
-  // Try to get account keys for pool address
-  if (tx.accountData) {
-    for (const acc of tx.accountData) {
-      if (acc.account && isDexPool(acc.account)) {
-        poolAddress = acc.account;
-        break;
-      }
+/**
+ * Quote side of a single-leg swap from the fee payer's net changes
+ * A stablecoin moving opposite to the token wins; otherwise SOL, if it moved opposite
+ *
+ * @returns {{ mint: string, amount: number }|null}
+ */
+function netQuote(changes, leg) {
+  const direction = -Math.sign(leg.delta);
+
+  for (const [mint, delta] of changes.tokens) {
+    if (STABLECOIN_MINTS.has(mint) && Math.sign(delta) === direction) {
+      return { mint, amount: Math.abs(delta) };
     }
   }
 
-  // Skip if we couldn't identify a token
-  if (!tokenMint) {
-    return null;
+  if (Math.sign(changes.sol) === direction) {
+    return { mint: WSOL_MINT, amount: Math.abs(changes.sol) };
   }
 
-  // Skip known tokens (SOL, stablecoins)
-  if (tokenMint === WSOL_MINT || STABLECOIN_MINTS.has(tokenMint)) {
-    return null;
+  return null;
+}
+
+/**
+ * Quote side of one leg of a multi-token swap
+ * Sums SOL / stablecoin flowing into (buy) or out of (sell) the accounts that traded the
+ * leg's token with the fee payer. Counterparties shared with another leg are ambiguous.
+ *
+ * @returns {{ mint: string, amount: number }|null}
+ */
+function legQuoteFromTransfers(tx, leg, legs) {
+  const { counterparties } = leg;
+  if (counterparties.size === 0) return null;
+
+  const shared = legs.some(
+    (other) => other !== leg && [...other.counterparties].some((account) => counterparties.has(account))
+  );
+  if (shared) return null;
+
+  const key = leg.side === 'buy' ? 'toUserAccount' : 'fromUserAccount';
+  const totals = new Map();
+  const add = (mint, amount) => totals.set(mint, (totals.get(mint) || 0) + amount);
+
+  for (const transfer of tx.tokenTransfers || []) {
+    if (transfer.mint === WSOL_MINT || STABLECOIN_MINTS.has(transfer.mint)) {
+      if (counterparties.has(transfer[key])) add(transfer.mint, parseFloat(transfer.tokenAmount) || 0);
+    }
+  }
+  for (const transfer of tx.nativeTransfers || []) {
+    if (counterparties.has(transfer[key])) add(WSOL_MINT, (transfer.amount || 0) / 1e9);
   }
 
-  return {
-    token_mint: tokenMint,
-    signature,
-    ts: timestamp,
-    side,
-    amount_usd: amountUsd,
-    amount_token: amountToken,
-    amount_sol: amountSol,
-    buyer,
-    seller,
-    pool_address: poolAddress,
-    meta: {
-      source: tx.source || 'unknown',
-      type: tx.type,
-      fee_payer: tx.feePayer,
-    },
+  if (totals.get(WSOL_MINT) > 0) return { mint: WSOL_MINT, amount: totals.get(WSOL_MINT) };
+  for (const [mint, amount] of totals) {
+    if (amount > 0) return { mint, amount };
+  }
+  return null;
+}
+
+/**
+ * Collect accounts that could be the swap's pool, in instruction order
+ * Direct DEX instructions come before aggregator (Jupiter) routes
+ */
+function collectPoolCandidates(tx) {
+  const dexProgramIds = Object.values(DEX_PROGRAMS);
+  const excluded = new Set([
+    tx.feePayer,
+    TOKEN_PROGRAM_ID,
+    TOKEN_2022_PROGRAM_ID,
+    SYSTEM_PROGRAM_ID,
+    WSOL_MINT,
+    ...dexProgramIds,
+    ...(tx.tokenTransfers || []).map((t) => t.mint),
+  ]);
+
+  const direct = [];
+  const routed = [];
+  const visit = (ix) => {
+    const adapter = getAdapterByProgram(ix.programId);
+    if (!adapter) return;
+    const target = adapter.aggregator ? routed : direct;
+    target.push(...(ix.accounts || []));
   };
+
+  for (const ix of tx.instructions || []) {
+    visit(ix);
+    for (const inner of ix.innerInstructions || []) {
+      visit(inner);
+    }
+  }
+
+  // Without instructions, fall back to accounts that touched no token balances
+  const fallback = (tx.accountData || [])
+    .filter((acc) => !acc.tokenBalanceChanges?.length && !acc.nativeBalanceChange)
+    .map((acc) => acc.account);
+
+  const candidates = [];
+  for (const account of [...direct, ...routed, ...fallback]) {
+    if (!account || excluded.has(account) || candidates.includes(account)) continue;
+    candidates.push(account);
+    if (candidates.length >= MAX_POOL_CANDIDATES) break;
+  }
+
+  return candidates;
+}
+
+/**
+ * Parse pool creations
+ * Decodes each DEX's initialize instruction for the real pool address, mints, vaults, LP mint
+ * and initial deposit.
+ *
+ * @returns {Object[]} Created pools (empty if the transaction created none)
+ */
+function parsePoolCreations(tx) {
+  const createdAt = tx.timestamp ? new Date(tx.timestamp * 1000).toISOString() : new Date().toISOString();
+
+  return decodePoolCreations(tx).map((created) => {
+    const pool = {
+      token_mint: created.base_mint,
+      pool_address: created.pool_address,
+      dex: created.dex,
+      base_mint: created.base_mint,
+      quote_mint: created.quote_mint,
+      lp_mint: created.lp_mint,
+      liquidity_sol: created.liquidity_sol,
+      liquidity_usd: created.liquidity_usd,
+      created_at: createdAt,
+      meta: {
+        signature: tx.signature,
+        slot: tx.slot ?? null,
+        fee_payer: tx.feePayer,
+        decoder: created.dex,
+        creator: created.creator,
+        base_vault: created.base_vault,
+        quote_vault: created.quote_vault,
+        initial_base_amount: created.base_amount,
+        initial_quote_amount: created.quote_amount,
+      },
+    };
+
+    // Decoded from the DEX's own instruction, so the address is known to be a pool
+    registerPool(pool, true);
+
+    return pool;
+  });
 }
 
 /**
- * Parse pool creation transaction
+ * Guess a created pool from its program and token transfers
+ * Used for pool creations no decoder recognises; the pool address is only a best guess.
  */
-function parsePoolCreation(tx) {
+function parsePoolCreationHeuristic(tx) {
   let tokenMint = null;
   let poolAddress = null;
   let dex = 'unknown';
@@ -312,15 +492,8 @@ function parsePoolCreation(tx) {
   // Check instructions for pool initialization
   if (tx.instructions) {
     for (const ix of tx.instructions) {
-      const programId = ix.programId;
-
       // Identify DEX
-      for (const [name, id] of Object.entries(DEX_PROGRAMS)) {
-        if (programId === id) {
-          dex = name.toLowerCase();
-          break;
-        }
-      }
+      dex = getAdapterByProgram(ix.programId)?.dex || dex;
 
       // Extract accounts (pool address is usually one of the first accounts)
       if (ix.accounts && ix.accounts.length > 0) {
@@ -345,7 +518,7 @@ function parsePoolCreation(tx) {
 
   if (!tokenMint) return null;
 
-  return {
+  const pool = {
     token_mint: tokenMint,
     pool_address: poolAddress,
     dex,
@@ -354,9 +527,18 @@ function parsePoolCreation(tx) {
     created_at: tx.timestamp ? new Date(tx.timestamp * 1000).toISOString() : new Date().toISOString(),
     meta: {
       signature: tx.signature,
+      slot: tx.slot ?? null,
       fee_payer: tx.feePayer,
+      decoder: 'heuristic',
     },
   };
+
+  // Remember the pool so later swaps through it can be attributed
+  if (poolAddress && dex !== 'unknown') {
+    registerPool(pool);
+  }
+
+  return pool;
 }
 
 /**
@@ -420,12 +602,11 @@ function extractMintFromTransaction(tx) {
 }
 
 /**
- * Check if an address is a known DEX pool pattern
+ * Check if an address is a known DEX pool
+ * Unknown addresses are verified asynchronously by attributeSwapPools
  */
 function isDexPool(address) {
-  // This is a heuristic - in production you'd check against known pool addresses
-  // or verify the account owner is a DEX program
-  return false; // Placeholder
+  return !!getRegisteredPool(address);
 }
 
 /**
@@ -434,9 +615,17 @@ function isDexPool(address) {
 export function getEventType(tx) {
   if (tx.type) return tx.type;
   if (tx.source) return `${tx.source}_TRANSACTION`;
+  if (isRawTransaction(tx)) return 'RAW_TRANSACTION';
   return 'UNKNOWN';
 }
 
+/**
+ * Signature of an enhanced or raw transaction, or null
+ */
+export function getTransactionSignature(tx) {
+  return tx?.signature || tx?.transaction?.signatures?.[0] || null;
+}
+
 /**
  * Fetch Helius API for token metadata
  */
@@ -473,12 +662,13 @@ export async function fetchTokenMetadata(mint) {
 
 /**
  * Fetch Helius API for parsed transactions
+ * Returns null when the request fails, so a failure isn't mistaken for no transactions.
  */
 export async function fetchParsedTransactions(signatures) {
   const apiKey = process.env.HELIUS_API_KEY;
   if (!apiKey) {
     log.warn('HELIUS_API_KEY not configured');
-    return [];
+    return null;
   }
 
   try {
@@ -490,13 +680,13 @@ export async function fetchParsedTransactions(signatures) {
 
     if (!response.ok) {
       log.warn('Failed to fetch transactions', { status: response.status });
-      return [];
+      return null;
     }
 
     return await response.json();
   } catch (err) {
     log.error('Error fetching transactions', { error: err.message });
-    return [];
+    return null;
   }
 }
 
@@ -569,6 +759,7 @@ export async function fetchTokenInfo(mint) {
 
     const data = await response.json();
     const parsed = data.result?.value?.data?.parsed;
+    const tokenProgram = data.result?.value?.owner || null;
 
     if (parsed?.type === 'mint' && parsed?.info) {
       return {
@@ -576,6 +767,8 @@ export async function fetchTokenInfo(mint) {
         freezeAuthority: parsed.info.freezeAuthority,
         decimals: parsed.info.decimals,
         supply: parsed.info.supply,
+        tokenProgram,
+        extensions: tokenProgram === TOKEN_2022_PROGRAM_ID ? decodeToken2022Extensions(parsed.info.extensions) : null,
       };
     }
 
@@ -586,4 +779,147 @@ export async function fetchTokenInfo(mint) {
   }
 }
 
-export { DEX_PROGRAMS, WSOL_MINT, STABLECOIN_MINTS };
+/**
+ * Decode Token-2022 mint extensions from jsonParsed account data
+ * Only fields relevant to risk scoring are kept; unrecognized extensions are listed by name
+ */
+export function decodeToken2022Extensions(extensions = []) {
+  const result = {
+    transfer_fee: null,
+    transfer_hook: null,
+    permanent_delegate: null,
+    non_transferable: false,
+    default_account_state: null,
+    mint_close_authority: null,
+    other: [],
+  };
+
+  for (const { extension, state } of extensions || []) {
+    switch (extension) {
+      case 'transferFeeConfig': {
+        const fee = state?.newerTransferFee || state?.olderTransferFee || {};
+        result.transfer_fee = {
+          basis_points: fee.transferFeeBasisPoints ?? 0,
+          maximum_fee: fee.maximumFee ?? null,
+          config_authority: state?.transferFeeConfigAuthority || null,
+        };
+        break;
+      }
+      case 'transferHook':
+        result.transfer_hook = {
+          program_id: state?.programId || null,
+          authority: state?.authority || null,
+        };
+        break;
+      case 'permanentDelegate':
+        result.permanent_delegate = state?.delegate || null;
+        break;
+      case 'nonTransferable':
+        result.non_transferable = true;
+        break;
+      case 'defaultAccountState':
+        result.default_account_state = state?.accountState || null;
+        break;
+      case 'mintCloseAuthority':
+        result.mint_close_authority = state?.closeAuthority || null;
+        break;
+      default:
+        result.other.push(extension);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Make a JSON-RPC call to the Helius RPC endpoint
+ * Returns the `result` field, or null on failure
+ */
+export async function rpcRequest(method, params, id = method) {
+  const apiKey = process.env.HELIUS_API_KEY;
+  if (!apiKey) {
+    log.warn('HELIUS_API_KEY not configured');
+    return null;
+  }
+
+  try {
+    const response = await fetch(`https://mainnet.helius-rpc.com/?api-key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id, method, params }),
+    });
+
+    if (!response.ok) {
+      log.warn('RPC request failed', { method, status: response.status });
+      return null;
+    }
+
+    const data = await response.json();
+    if (data.error) {
+      log.warn('RPC request returned error', { method, error: data.error.message });
+      return null;
+    }
+
+    return data.result ?? null;
+  } catch (err) {
+    log.error('Error making RPC request', { method, error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Fetch a single account (base64 data decoded to a Buffer)
+ * Returns { owner, lamports, data } or null
+ */
+export async function fetchAccountInfo(address) {
+  const result = await rpcRequest('getAccountInfo', [address, { encoding: 'base64' }]);
+  return decodeAccount(result?.value);
+}
+
+/**
+ * Fetch several accounts in one call per 100 addresses
+ * Returns an array aligned with `addresses` (null for missing accounts)
+ */
+export async function fetchMultipleAccounts(addresses, encoding = 'base64', options = {}) {
+  const accounts = [];
+
+  for (let i = 0; i < addresses.length; i += 100) {
+    const chunk = addresses.slice(i, i + 100);
+    const result = await rpcRequest('getMultipleAccounts', [chunk, { encoding, ...options }]);
+    const values = result?.value || [];
+
+    for (let j = 0; j < chunk.length; j++) {
+      const value = values[j] || null;
+      accounts.push(encoding === 'base64' ? decodeAccount(value) : value);
+    }
+  }
+
+  return accounts;
+}
+
+/**
+ * Fetch parsed token accounts owned by an address
+ */
+export async function fetchTokenAccountsByOwner(owner, programId = TOKEN_PROGRAM_ID) {
+  const result = await rpcRequest('getTokenAccountsByOwner', [
+    owner,
+    { programId },
+    { encoding: 'jsonParsed' },
+  ]);
+  return result?.value || [];
+}
+
+/**
+ * Convert a base64 RPC account value into { owner, lamports, data: Buffer }
+ */
+function decodeAccount(value) {
+  if (!value) return null;
+  const [encoded] = Array.isArray(value.data) ? value.data : [value.data];
+  return {
+    owner: value.owner,
+    lamports: value.lamports,
+    data: Buffer.from(encoded || '', 'base64'),
+  };
+}
+
+export { DEX_PROGRAMS, WSOL_MINT, STABLECOIN_MINTS, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, SYSTEM_PROGRAM_ID };
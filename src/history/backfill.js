@@ -0,0 +1,228 @@
+/**
+ * Token history backfill
+ * Pages a token's signature history from chain and ingests its oldest transactions, so a token
+ * first seen mid-pump gets its swaps and pools from launch
+ * Usage: node src/history/backfill.js <mint> [--max-signatures N]
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { rpcRequest, fetchParsedTransactions } from '../helius.js';
+import { getPoolsForToken, getSwapsBySignatures } from '../supabase.js';
+import { processWebhookPayload } from '../ingest.js';
+import { backfillSwapUsd } from '../pricing/backfill.js';
+
+const log = createLogger('history-backfill');
+
+// Configuration
+const HISTORY_BACKFILL_MAX_SIGNATURES = parseInt(process.env.HISTORY_BACKFILL_MAX_SIGNATURES || '2000', 10);
+const HISTORY_BACKFILL_QUEUE_MAX = parseInt(process.env.HISTORY_BACKFILL_QUEUE_MAX || '500', 10);
+const HISTORY_BACKFILL_MAX_PAGES = parseInt(process.env.HISTORY_BACKFILL_MAX_PAGES || '20', 10);
+const SIGNATURE_PAGE_SIZE = 1000; // getSignaturesForAddress maximum
+const FETCH_CHUNK_SIZE = 100; // Helius parsed transactions maximum
+const LOOKUP_CHUNK_SIZE = 50;
+
+// Mints waiting for (or in) a backfill, run one at a time in the background
+const queue = [];
+const queued = new Set();
+let draining = false;
+
+/**
+ * Queue a token's history backfill without waiting for it
+ * A mint already queued is not queued again.
+ */
+export function queueHistoryBackfill(mint) {
+  if (!mint || queued.has(mint)) return;
+
+  if (queue.length >= HISTORY_BACKFILL_QUEUE_MAX) {
+    log.warn('History backfill queue full, dropping token', { mint, queued: queue.length });
+    return;
+  }
+
+  queued.add(mint);
+  queue.push(mint);
+  if (!draining) drainQueue();
+}
+
+async function drainQueue() {
+  draining = true;
+
+  while (queue.length > 0) {
+    const mint = queue.shift();
+    try {
+      await backfillTokenHistory(mint);
+    } catch (err) {
+      log.error('History backfill failed', { mint, error: err.message });
+    }
+    queued.delete(mint);
+  }
+
+  draining = false;
+}
+
+/**
+ * Backfill a token's swaps and pools from its on-chain history
+ * The mint's own signatures come first; pools found along the way (a migration, a new AMM pool)
+ * are paged next, since swaps through a pool don't always reference the mint. Signature history
+ * is paged all the way back to launch, and only the oldest signatures (up to maxSignatures
+ * across all addresses) are fetched and ingested, oldest first. Transactions that already have
+ * stored swaps are skipped.
+ *
+ * @param {string} mint
+ * @param {Object} options
+ * @param {number} options.maxSignatures - Fetch and ingest at most this many of the oldest signatures
+ * @returns {Object} { mint, signatures, selected, ingested, swaps, pools, failed, complete, durationMs }
+ */
+export async function backfillTokenHistory(mint, { maxSignatures = HISTORY_BACKFILL_MAX_SIGNATURES } = {}) {
+  const startTime = Date.now();
+  const selected = new Map(); // signature -> blockTime, for signatures picked for ingest
+  const paged = new Set();
+  const result = { mint, signatures: 0, selected: 0, ingested: 0, swaps: 0, pools: 0, failed: 0, complete: true };
+
+  let addresses = [mint];
+  while (addresses.length > 0 && selected.size < maxSignatures) {
+    const found = new Map();
+    for (const address of addresses) {
+      paged.add(address);
+      const page = await fetchSignatureHistory(address, maxSignatures - selected.size, selected);
+      result.signatures += page.total;
+      if (!page.complete) result.complete = false;
+      for (const [signature, blockTime] of page.signatures) found.set(signature, blockTime);
+    }
+
+    // Keep the oldest across this round's addresses
+    const oldest = [...found].sort((a, b) => (a[1] ?? 0) - (b[1] ?? 0)).slice(0, maxSignatures - selected.size);
+    const batch = new Map(oldest);
+    for (const [signature, blockTime] of batch) selected.set(signature, blockTime);
+
+    await ingestSignatures(batch, result);
+
+    const pools = await getPoolsForToken(mint);
+    addresses = pools.map((p) => p.pool_address).filter((address) => !paged.has(address));
+  }
+  if (addresses.length > 0 || result.signatures > selected.size) result.complete = false;
+
+  result.selected = selected.size;
+
+  // Swaps are stored unpriced; value them at the SOL price of their time
+  const oldest = Math.min(...[...selected.values()].filter(Boolean));
+  if (result.swaps > 0 && Number.isFinite(oldest)) {
+    const maxAgeHours = Math.ceil((Date.now() / 1000 - oldest) / 3600) + 1;
+    try {
+      await backfillSwapUsd({ maxAgeHours });
+    } catch (err) {
+      log.warn('Failed to price backfilled swaps', { mint, error: err.message });
+    }
+  }
+
+  result.durationMs = Date.now() - startTime;
+  log.info('Token history backfilled', result);
+  return result;
+}
+
+/**
+ * Page an address's successful signatures, newest first, back to its first transaction
+ * Signature pages are cheap, so history is walked up to HISTORY_BACKFILL_MAX_PAGES pages per
+ * address; only the oldest `limit` are kept. A busier address stops at the page cap, short of launch.
+ *
+ * @param {string} address
+ * @param {number} limit - Maximum (oldest) signatures to return
+ * @param {Map} known - Signatures already collected (not returned again)
+ * @returns {Object} { signatures: Map(signature -> blockTime), total, complete }
+ */
+async function fetchSignatureHistory(address, limit, known) {
+  let kept = [];
+  let total = 0;
+  let before;
+
+  for (let pages = 0; pages < HISTORY_BACKFILL_MAX_PAGES; pages++) {
+    const page = await rpcRequest(
+      'getSignaturesForAddress',
+      [address, { limit: SIGNATURE_PAGE_SIZE, ...(before && { before }) }],
+      'history-signatures'
+    );
+    if (!page) {
+      log.warn('Failed to fetch signature history', { address, collected: total });
+      return { signatures: new Map(kept), total, complete: false };
+    }
+
+    for (const sig of page) {
+      if (sig.err || known.has(sig.signature)) continue;
+      kept.push([sig.signature, sig.blockTime ?? null]);
+      total++;
+    }
+    if (kept.length > limit) kept = kept.slice(kept.length - limit);
+
+    if (page.length < SIGNATURE_PAGE_SIZE) return { signatures: new Map(kept), total, complete: true };
+    before = page[page.length - 1].signature;
+  }
+
+  log.warn('Signature history truncated at page cap', {
+    address,
+    pages: HISTORY_BACKFILL_MAX_PAGES,
+    collected: total,
+    oldestSignature: before,
+  });
+  return { signatures: new Map(kept), total, complete: false };
+}
+
+/**
+ * Fetch and ingest transactions that aren't stored yet, oldest first
+ * (so pool creations are registered before the swaps through them)
+ */
+async function ingestSignatures(signatures, result) {
+  const all = [...signatures.keys()];
+  const stored = new Set();
+  for (let i = 0; i < all.length; i += LOOKUP_CHUNK_SIZE) {
+    const swaps = await getSwapsBySignatures(all.slice(i, i + LOOKUP_CHUNK_SIZE));
+    for (const swap of swaps) stored.add(swap.signature);
+  }
+
+  const pending = all
+    .filter((signature) => !stored.has(signature))
+    .sort((a, b) => (signatures.get(a) ?? 0) - (signatures.get(b) ?? 0));
+
+  for (let i = 0; i < pending.length; i += FETCH_CHUNK_SIZE) {
+    const chunk = pending.slice(i, i + FETCH_CHUNK_SIZE);
+    const txs = await fetchParsedTransactions(chunk);
+    if (!txs || txs.length === 0) {
+      result.failed += chunk.length;
+      continue;
+    }
+
+    // Helius doesn't guarantee order
+    txs.sort((a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0));
+
+    try {
+      const parsed = await processWebhookPayload(txs, { dedupe: false, historical: true });
+      result.ingested += txs.length;
+      result.swaps += parsed.swaps.length;
+      result.pools += parsed.pools.length;
+    } catch (err) {
+      log.warn('Failed to ingest history chunk', { count: txs.length, error: err.message });
+      result.failed += txs.length;
+    }
+  }
+}
+
+// Allow running directly
+if (process.argv[1].includes('history/backfill.js')) {
+  // Load environment variables
+  const { config } = await import('dotenv');
+  config();
+
+  const [mint, ...args] = process.argv.slice(2);
+  const maxIndex = args.indexOf('--max-signatures');
+  const maxSignatures = maxIndex >= 0 ? parseInt(args[maxIndex + 1], 10) : HISTORY_BACKFILL_MAX_SIGNATURES;
+
+  if (!mint || mint.startsWith('--')) {
+    log.error('Usage: node src/history/backfill.js <mint> [--max-signatures N]');
+    process.exit(1);
+  }
+
+  backfillTokenHistory(mint, { maxSignatures })
+    .then(() => process.exit(0))
+    .catch((err) => {
+      log.error('History backfill failed', err);
+      process.exit(1);
+    });
+}
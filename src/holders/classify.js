@@ -0,0 +1,138 @@
+/**
+ * Holder address classification
+ * Tags LP vaults, bonding curves, burn addresses and exchange wallets among token holders
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { getRegisteredPool, verifyPoolAccounts } from '../pools/registry.js';
+
+const log = createLogger('holder-classify');
+
+// Owners to check against DEX programs via RPC (largest holders first)
+const VERIFY_TOP_OWNERS = 20;
+
+// Burn / incinerator addresses
+const BURN_ADDRESSES = new Set([
+  '1nc1nerator11111111111111111111111111111111',
+  '11111111111111111111111111111111',
+]);
+
+// AMM authorities that own pool vaults for every pool of a program
+const AMM_AUTHORITIES = new Map([
+  ['5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1', 'raydium_v4'],
+  ['GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL', 'raydium_cp'],
+]);
+
+// Bonding-curve style launchpads (everything else owned by a DEX program is an LP vault)
+const BONDING_CURVE_DEXES = new Set(['pump_fun', 'moonshot']);
+
+// Known centralized exchange hot wallets (extend with CEX_WALLETS=address:label,...)
+const CEX_WALLETS = new Map([
+  ['5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhUvuAi9', 'Binance'],
+  ['9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM', 'Binance'],
+  ['H8sMJSCQxfKiFTCfDR3DUMLPwcRbM61LGFJ8N4dK3WjS', 'Coinbase'],
+  ['2AQdpHJ2JpcEgPiATUXjQxA8QmafFegfQwSLWSprPicm', 'Coinbase'],
+  ['AC5RDfQFmDS1deWZos921JfqscXdByf8BKHs5ACWjtW2', 'Bybit'],
+  ['5VCwKtCXgCJ6kit5FybXjvriW3xELsFDhYrPSqtJNmcD', 'OKX'],
+  ['FWznbcNXWQuHTawe9RxvQ2LdCENssh12dsznf4RiouN5', 'Kraken'],
+  ['ASTyfSima4LLAdDgoFGkgqoKowG1LZFDr9fAQrg7iaJZ', 'MEXC'],
+  ...parseAddressList(process.env.CEX_WALLETS),
+]);
+
+/**
+ * Parse "address:label,address" lists from environment variables
+ */
+function parseAddressList(value) {
+  if (!value) return [];
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [address, label] = entry.split(':');
+      return [address, label || 'CEX'];
+    });
+}
+
+/**
+ * Classify holders of a token
+ *
+ * @param {Object[]} holders - Indexed holders ({ owner, amount, accounts }) sorted by amount
+ * @param {Object[]} pools - Pool records for the token
+ * @returns {Promise<Map<string, { type: string, label?: string }>>} owner -> classification
+ *   type is one of: wallet, lp_vault, bonding_curve, burn, cex
+ */
+export async function classifyHolders(holders, pools = []) {
+  const classifications = new Map();
+
+  const poolAddresses = new Map(pools.filter((p) => p.pool_address).map((p) => [p.pool_address, p.dex]));
+  const vaultAccounts = new Set(
+    pools.flatMap((p) => [p.meta?.reserves?.base_vault, p.meta?.reserves?.quote_vault]).filter(Boolean)
+  );
+
+  const unresolved = [];
+
+  for (const holder of holders) {
+    const classification = classifyKnown(holder, poolAddresses, vaultAccounts);
+    if (classification) {
+      classifications.set(holder.owner, classification);
+    } else {
+      classifications.set(holder.owner, { type: 'wallet' });
+      if (unresolved.length < VERIFY_TOP_OWNERS) unresolved.push(holder.owner);
+    }
+  }
+
+  // Pool and curve accounts hold their own vaults; detect them by owner program
+  if (unresolved.length > 0) {
+    try {
+      const programOwned = await verifyPoolAccounts(unresolved);
+      for (const [owner, { dex }] of programOwned) {
+        classifications.set(owner, dexClassification(dex));
+      }
+    } catch (err) {
+      log.warn('Failed to verify holder owners', { error: err.message });
+    }
+  }
+
+  return classifications;
+}
+
+/**
+ * Classify a holder from static lists and known pools, or return null
+ */
+function classifyKnown(holder, poolAddresses, vaultAccounts) {
+  const { owner } = holder;
+
+  if (BURN_ADDRESSES.has(owner)) {
+    return { type: 'burn' };
+  }
+
+  if (CEX_WALLETS.has(owner)) {
+    return { type: 'cex', label: CEX_WALLETS.get(owner) };
+  }
+
+  if (AMM_AUTHORITIES.has(owner)) {
+    return { type: 'lp_vault', label: AMM_AUTHORITIES.get(owner) };
+  }
+
+  if (poolAddresses.has(owner)) {
+    return dexClassification(poolAddresses.get(owner));
+  }
+
+  if (holder.accounts?.some((account) => vaultAccounts.has(account))) {
+    return { type: 'lp_vault' };
+  }
+
+  const registered = getRegisteredPool(owner);
+  if (registered) {
+    return dexClassification(registered.dex);
+  }
+
+  return null;
+}
+
+function dexClassification(dex) {
+  return BONDING_CURVE_DEXES.has(dex) ? { type: 'bonding_curve', label: dex } : { type: 'lp_vault', label: dex };
+}
+
+export { BURN_ADDRESSES, BONDING_CURVE_DEXES, CEX_WALLETS };
@@ -0,0 +1,75 @@
+/**
+ * Holder distribution
+ * Computes holder count and top-N concentration against token supply
+ */
+
+const TOP_N = [1, 5, 10, 20];
+
+/**
+ * Calculate holder distribution from an indexed holder list
+ * Holders classified as anything other than a wallet (LP vaults, bonding curves, burn
+ * addresses, exchanges) are excluded from concentration; burned tokens leave the supply.
+ *
+ * @param {Object} index - Result of fetchAllHolders (holders sorted by raw amount)
+ * @param {number|string} supply - Raw token supply (tokens.supply); falls back to the sum of balances
+ * @param {Map} classifications - owner -> { type, label } from classifyHolders (optional)
+ * @returns {Object} holder_snapshots row: holder_count, top1/5/10/20_pct, meta
+ */
+export function calculateHolderDistribution(index, supply, classifications = new Map()) {
+  const allHolders = index?.holders || [];
+  const typeOf = (h) => classifications.get(h.owner)?.type || 'wallet';
+
+  const wallets = allHolders.filter((h) => typeOf(h) === 'wallet');
+  const excluded = allHolders.filter((h) => typeOf(h) !== 'wallet');
+  const burned = excluded.filter((h) => typeOf(h) === 'burn').reduce((sum, h) => sum + h.amount, 0);
+
+  const heldTotal = allHolders.reduce((sum, h) => sum + h.amount, 0);
+  const supplyTotal = (parseFloat(supply) > 0 ? parseFloat(supply) : heldTotal) - burned;
+
+  const result = {
+    holder_count: wallets.length,
+    top1_pct: 0,
+    top5_pct: 0,
+    top10_pct: 0,
+    top20_pct: 0,
+  };
+
+  if (supplyTotal > 0) {
+    for (const n of TOP_N) {
+      const topAmount = wallets.slice(0, n).reduce((sum, h) => sum + h.amount, 0);
+      result[`top${n}_pct`] = (topAmount / supplyTotal) * 100;
+    }
+  }
+
+  const pctOf = (amount) => (supplyTotal > 0 ? (amount / supplyTotal) * 100 : null);
+
+  const typeCounts = {};
+  for (const h of excluded) {
+    const type = typeOf(h);
+    typeCounts[type] = (typeCounts[type] || 0) + 1;
+  }
+
+  result.meta = {
+    source: index?.source,
+    supply: supplyTotal,
+    held_total: heldTotal,
+    burned,
+    token_account_count: index?.token_account_count,
+    holder_count_truncated: index?.truncated || false,
+    top_holders: wallets.slice(0, 5).map((h) => ({
+      address: h.owner,
+      amount: h.amount,
+      pct: pctOf(h.amount),
+    })),
+    excluded_holders: excluded.slice(0, 20).map((h) => ({
+      address: h.owner,
+      type: typeOf(h),
+      label: classifications.get(h.owner)?.label,
+      amount: h.amount,
+      pct: pctOf(h.amount),
+    })),
+    classification_counts: typeCounts,
+  };
+
+  return result;
+}
@@ -0,0 +1,143 @@
+/**
+ * Holder indexer
+ * Pages through every token account of a mint and aggregates balances by owner
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { rpcRequest, fetchTokenHolders, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } from '../helius.js';
+
+const log = createLogger('holder-indexer');
+
+// Configuration
+const HOLDER_INDEX_MAX_PAGES = parseInt(process.env.HOLDER_INDEX_MAX_PAGES || '10', 10);
+const DAS_PAGE_SIZE = 1000;
+
+/**
+ * Fetch all holders of a mint
+ * Tries Helius DAS getTokenAccounts, then getProgramAccounts, then the top-20 largest accounts
+ *
+ * @returns {Object|null} { holders: [{ owner, amount, accounts }], token_account_count, truncated, source }
+ *   Amounts are raw (base units); holders are sorted by amount descending
+ */
+export async function fetchAllHolders(mint, maxPages = HOLDER_INDEX_MAX_PAGES) {
+  const das = await fetchHoldersViaDas(mint, maxPages);
+  if (das) return das;
+
+  const gpa = await fetchHoldersViaProgramAccounts(mint);
+  if (gpa) return gpa;
+
+  // Last resort: largest accounts only (holder count capped at 20)
+  const largest = await fetchTokenHolders(mint);
+  if (!largest || largest.length === 0) return null;
+
+  return buildResult(
+    largest.map((acc) => ({ address: acc.address, owner: acc.address, amount: acc.amount })),
+    true,
+    'largest_accounts'
+  );
+}
+
+/**
+ * Page through token accounts with Helius DAS getTokenAccounts
+ */
+async function fetchHoldersViaDas(mint, maxPages) {
+  const accounts = [];
+  let truncated = false;
+
+  for (let page = 1; page <= maxPages; page++) {
+    const result = await rpcRequest(
+      'getTokenAccounts',
+      { mint, page, limit: DAS_PAGE_SIZE, options: { showZeroBalance: false } },
+      'holder-index'
+    );
+
+    // A failure on the first page means DAS is unavailable; later failures keep what we have
+    if (!result) {
+      if (page === 1) return null;
+      truncated = true;
+      break;
+    }
+
+    const pageAccounts = result.token_accounts || [];
+    for (const acc of pageAccounts) {
+      accounts.push({ address: acc.address, owner: acc.owner, amount: acc.amount });
+    }
+
+    if (pageAccounts.length < DAS_PAGE_SIZE) break;
+    if (page === maxPages) truncated = true;
+  }
+
+  if (truncated) {
+    log.debug('Holder index truncated', { mint, accounts: accounts.length, maxPages });
+  }
+
+  return buildResult(accounts, truncated, 'das');
+}
+
+/**
+ * Fetch all token accounts for a mint with getProgramAccounts
+ * Both token programs are queried, since a mint's accounts live under its own program.
+ * Token-2022 accounts carry extensions, so they have no fixed size to filter on.
+ */
+async function fetchHoldersViaProgramAccounts(mint) {
+  const [legacy, token2022] = await Promise.all([
+    fetchProgramTokenAccounts(TOKEN_PROGRAM_ID, mint, [{ dataSize: 165 }]),
+    fetchProgramTokenAccounts(TOKEN_2022_PROGRAM_ID, mint),
+  ]);
+
+  // Either query failing leaves the count unknown
+  if (!legacy || !token2022) return null;
+
+  return buildResult([...legacy, ...token2022], false, 'program_accounts');
+}
+
+async function fetchProgramTokenAccounts(programId, mint, filters = []) {
+  const result = await rpcRequest(
+    'getProgramAccounts',
+    [
+      programId,
+      {
+        encoding: 'jsonParsed',
+        filters: [...filters, { memcmp: { offset: 0, bytes: mint } }],
+      },
+    ],
+    'holder-index-gpa'
+  );
+
+  if (!Array.isArray(result)) return null;
+
+  return result
+    .filter((acc) => acc.account?.data?.parsed?.type === 'account')
+    .map((acc) => {
+      const info = acc.account.data.parsed.info;
+      return {
+        address: acc.pubkey,
+        owner: info?.owner,
+        amount: info?.tokenAmount?.amount,
+      };
+    });
+}
+
+/**
+ * Aggregate token accounts by owner, dropping empty balances
+ */
+function buildResult(accounts, truncated, source) {
+  const byOwner = new Map();
+
+  for (const acc of accounts) {
+    const amount = parseFloat(acc.amount || 0);
+    if (!acc.owner || !(amount > 0)) continue;
+
+    const holder = byOwner.get(acc.owner) || { owner: acc.owner, amount: 0, accounts: [] };
+    holder.amount += amount;
+    holder.accounts.push(acc.address);
+    byOwner.set(acc.owner, holder);
+  }
+
+  return {
+    holders: [...byOwner.values()].sort((a, b) => b.amount - a.amount),
+    token_account_count: accounts.length,
+    truncated,
+    source,
+  };
+}
@@ -8,8 +8,10 @@ config();
 
 import { createLogger } from './utils/logger.js';
 import { startServer, stopServer } from './server.js';
+import { startIngestWorker, stopIngestWorker } from './workers/ingest_worker.js';
 import { startEnrichWorker, stopEnrichWorker } from './workers/enrich_worker.js';
 import { startScoreWorker, stopScoreWorker } from './workers/score_worker.js';
+import { startWalletStatsWorker, stopWalletStatsWorker } from './workers/wallet_stats_worker.js';
 import { initBot, stopBot } from './telegram/bot.js';
 import { testConnection } from './supabase.js';
 
@@ -75,6 +77,12 @@ async function main() {
   log.info('Starting webhook server...');
   await startServer();
 
+  // Start ingest worker (processes queued webhooks)
+  log.info('Starting ingest worker...');
+  startIngestWorker().catch((err) => {
+    log.error('Ingest worker crashed', err);
+  });
+
   // Start enrichment worker
   log.info('Starting enrichment worker...');
   startEnrichWorker().catch((err) => {
@@ -87,6 +95,12 @@ async function main() {
     log.error('Scoring worker crashed', err);
   });
 
+  // Start wallet stats worker
+  log.info('Starting wallet stats worker...');
+  startWalletStatsWorker().catch((err) => {
+    log.error('Wallet stats worker crashed', err);
+  });
+
   log.info('All components started successfully');
   log.info('Webhook endpoint: POST /webhook/helius');
   log.info('Health check: GET /health');
@@ -105,8 +119,10 @@ async function shutdown(signal) {
   log.info('Shutting down...', { signal });
 
   // Stop workers first
+  stopIngestWorker();
   stopEnrichWorker();
   stopScoreWorker();
+  stopWalletStatsWorker();
 
   // Stop bot
   stopBot();
@@ -0,0 +1,276 @@
+/**
+ * Ingestion
+ * Queues webhook transactions in raw_events and turns them into tokens, swaps and pools
+ */
+
+import { createLogger } from './utils/logger.js';
+import { parseWebhookPayload, getEventType, getTransactionSignature } from './helius.js';
+import {
+  upsertToken,
+  insertSwap,
+  upsertPool,
+  insertPoolIfMissing,
+  insertRawEvents,
+  getTokensByMints,
+} from './supabase.js';
+import { priceSwaps } from './pricing/sol_price.js';
+import { attributeSwapPools } from './pools/registry.js';
+import { recordCreatorLaunch } from './creators/reputation.js';
+import { matchTrackedWallets } from './wallets/watchlist.js';
+import { queueHistoryBackfill } from './history/backfill.js';
+import { validateTransaction } from './transactions/schema.js';
+
+const log = createLogger('ingest');
+
+// Backfill the chain history of tokens the first time they're seen
+const HISTORY_BACKFILL_ON_DISCOVERY = process.env.ENABLE_HISTORY_BACKFILL !== 'false';
+
+/**
+ * Store a webhook payload in the raw_events queue, one row per transaction
+ * Transactions that fail schema validation are quarantined: stored already processed, with the
+ * validation error, so they can be inspected but are never parsed.
+ * Throws if the rows could not be stored, so the caller can refuse the webhook.
+ *
+ * @returns {Object} { queued, quarantined } transaction counts
+ */
+export async function enqueueWebhookPayload(payload) {
+  const transactions = (Array.isArray(payload) ? payload : [payload]).filter(Boolean);
+  const now = new Date().toISOString();
+  let quarantined = 0;
+
+  // Every row carries every column: a bulk insert nulls the ones a row leaves out
+  const rows = transactions.map((tx) => {
+    const validation = validateTransaction(tx);
+    if (validation.ok) {
+      return {
+        event_type: getEventType(tx),
+        signature: getTransactionSignature(tx),
+        payload: tx,
+        quarantined: false,
+        processed: false,
+        processed_at: null,
+        error: null,
+      };
+    }
+
+    // Nothing in an invalid transaction can be trusted to have the right type
+    const signature = getTransactionSignature(tx);
+    quarantined++;
+    log.warn('Quarantined invalid transaction', { signature, error: validation.error });
+
+    return {
+      event_type: 'INVALID',
+      signature: typeof signature === 'string' ? signature : null,
+      payload: tx,
+      quarantined: true,
+      processed: true,
+      processed_at: now,
+      error: `Invalid payload: ${validation.error}`,
+    };
+  });
+
+  await insertRawEvents(rows);
+
+  return { queued: transactions.length - quarantined, quarantined };
+}
+
+/**
+ * Process a webhook payload (or queued transactions) into tokens, swaps and pools
+ * Every write is idempotent, so a payload can be processed again after a failure.
+ * Throws if any transaction could not be parsed or any token, swap or pool could not be stored,
+ * after attempting the rest.
+ *
+ * @param {Object|Object[]} payload - Transaction(s)
+ * @param {Object} options
+ * @param {boolean} options.dedupe - Skip signatures already seen by this process (off for retries)
+ * @param {boolean} options.historical - Transactions from a history backfill: left unpriced for the
+ *   historical USD backfill, and tokens first seen in them don't start backfills of their own
+ */
+export async function processWebhookPayload(payload, { dedupe = true, historical = false } = {}) {
+  // Parse the payload
+  const parsed = parseWebhookPayload(payload, { dedupe });
+
+  // Transactions the parser threw on fail the payload too (after the rest is written), so a
+  // queued event is retried and finally kept with its error rather than marked processed
+  const failures = parsed.failed.map((signature) => `parse ${signature || '(no signature)'}: could not be parsed`);
+
+  log.debug('Parsed webhook', {
+    tokens: parsed.tokens.length,
+    swaps: parsed.swaps.length,
+    pools: parsed.pools.length,
+  });
+
+  // Tokens not stored yet, checked before they're created below
+  let newMints = [];
+  if (HISTORY_BACKFILL_ON_DISCOVERY && !historical) {
+    try {
+      newMints = await findNewMints(parsed);
+    } catch (err) {
+      log.warn('Failed to check for new tokens', { error: err.message });
+    }
+  }
+
+  // Process tokens (create if not exists)
+  for (const tokenData of parsed.tokens) {
+    try {
+      await upsertToken(tokenData.mint, {
+        meta: {
+          source: tokenData.source,
+          discovered_at: new Date().toISOString(),
+        },
+      });
+      log.debug('Token upserted', { mint: tokenData.mint, source: tokenData.source });
+    } catch (err) {
+      // Ignore duplicate errors
+      if (!err.message.includes('duplicate') && !err.message.includes('unique')) {
+        log.error('Failed to upsert token', { mint: tokenData.mint, error: err.message });
+        failures.push(`token ${tokenData.mint}: ${err.message}`);
+      }
+    }
+  }
+
+  // Convert swap amounts to USD at the current SOL price
+  if (!historical) {
+    try {
+      await priceSwaps(parsed.swaps);
+    } catch (err) {
+      log.warn('Failed to price swaps', { error: err.message });
+    }
+  }
+
+  // Attribute swaps to their pool and DEX
+  let discoveredPools = [];
+  try {
+    discoveredPools = await attributeSwapPools(parsed.swaps);
+  } catch (err) {
+    log.warn('Failed to attribute swap pools', { error: err.message });
+  }
+
+  // Tag swaps made by tracked smart-money wallets
+  try {
+    const smartSwaps = await matchTrackedWallets(parsed.swaps);
+    for (const swap of smartSwaps) {
+      log.info('Tracked wallet swap', {
+        mint: swap.token_mint,
+        wallet: swap.buyer || swap.seller,
+        label: swap.meta.tracked_wallet,
+        side: swap.side,
+      });
+    }
+  } catch (err) {
+    log.warn('Failed to match tracked wallets', { error: err.message });
+  }
+
+  // Process swaps
+  for (const swap of parsed.swaps) {
+    try {
+      // Ensure token exists
+      await upsertToken(swap.token_mint, {
+        meta: {
+          source: 'swap',
+          discovered_at: new Date().toISOString(),
+        },
+      });
+
+      // Insert swap
+      await insertSwap(swap);
+      log.debug('Swap inserted', {
+        mint: swap.token_mint,
+        signature: swap.signature,
+        side: swap.side,
+      });
+    } catch (err) {
+      // Ignore duplicate errors
+      if (!err.message.includes('duplicate') && !err.message.includes('unique')) {
+        log.error('Failed to insert swap', { signature: swap.signature, error: err.message });
+        failures.push(`swap ${swap.signature}: ${err.message}`);
+      }
+    }
+  }
+
+  // Record pools first seen through swaps (pool creation may have been missed)
+  for (const pool of discoveredPools) {
+    try {
+      await insertPoolIfMissing(pool.token_mint, pool.pool_address, {
+        dex: pool.dex,
+        meta: { discovered_via: 'swap' },
+      });
+      log.debug('Pool discovered from swap', { mint: pool.token_mint, pool: pool.pool_address, dex: pool.dex });
+    } catch (err) {
+      log.error('Failed to record discovered pool', { pool: pool.pool_address, error: err.message });
+      failures.push(`pool ${pool.pool_address}: ${err.message}`);
+    }
+  }
+
+  // Process pools
+  for (const pool of parsed.pools) {
+    try {
+      // Ensure token exists
+      await upsertToken(pool.token_mint, {
+        meta: {
+          source: 'pool_creation',
+          discovered_at: new Date().toISOString(),
+        },
+      });
+
+      // Insert pool
+      // Initial liquidity only when decoded, so a replayed creation never blanks enriched values
+      await upsertPool(pool.token_mint, pool.pool_address, {
+        dex: pool.dex,
+        base_mint: pool.base_mint,
+        quote_mint: pool.quote_mint,
+        created_at: pool.created_at,
+        ...(pool.lp_mint && { lp_mint: pool.lp_mint }),
+        ...(pool.liquidity_sol != null && { liquidity_sol: pool.liquidity_sol }),
+        ...(pool.liquidity_usd != null && { liquidity_usd: pool.liquidity_usd }),
+        meta: pool.meta,
+      });
+      log.debug('Pool upserted', {
+        mint: pool.token_mint,
+        pool: pool.pool_address,
+        dex: pool.dex,
+      });
+    } catch (err) {
+      if (!err.message.includes('duplicate') && !err.message.includes('unique')) {
+        log.error('Failed to upsert pool', { pool: pool.pool_address, error: err.message });
+        failures.push(`pool ${pool.pool_address}: ${err.message}`);
+      }
+      continue;
+    }
+
+    // Link the token to its deployer
+    try {
+      await recordCreatorLaunch(pool.meta?.fee_payer, pool.token_mint);
+    } catch (err) {
+      log.warn('Failed to record creator', { mint: pool.token_mint, error: err.message });
+    }
+  }
+
+  // A token first seen mid-pump only has swaps from now on; fetch the rest from chain
+  for (const mint of newMints) {
+    queueHistoryBackfill(mint);
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`${failures.length} transaction(s) or write(s) failed, first: ${failures[0]}`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Mints in a parsed payload that have no token row yet
+ */
+async function findNewMints(parsed) {
+  const mints = [
+    ...new Set([
+      ...parsed.tokens.map((t) => t.mint),
+      ...parsed.swaps.map((s) => s.token_mint),
+      ...parsed.pools.map((p) => p.token_mint),
+    ]),
+  ];
+  if (mints.length === 0) return [];
+
+  const known = new Set((await getTokensByMints(mints)).map((t) => t.mint));
+  return mints.filter((mint) => !known.has(mint));
+}
@@ -0,0 +1,116 @@
+/**
+ * Pump.fun bonding curve
+ * Decodes bonding-curve state to track progress toward graduation and the migration to an AMM
+ */
+
+import { createHash } from 'crypto';
+import { createLogger } from '../utils/logger.js';
+import { readPubkey } from '../utils/base58.js';
+import { DEX_PROGRAMS, fetchAccountInfo } from '../helius.js';
+
+const log = createLogger('bonding-curve');
+
+// Anchor discriminator of the BondingCurve account: sha256("account:BondingCurve")[0..8]
+const BONDING_CURVE_DISCRIMINATOR = createHash('sha256').update('account:BondingCurve').digest().subarray(0, 8);
+
+// BondingCurve layout after the discriminator: five u64 reserves/supply, the `complete` flag,
+// then the creator pubkey on curves created since the creator-fee upgrade
+const CURVE_LAYOUT = {
+  minLength: 49,
+  virtualTokenReserves: 8,
+  virtualSolReserves: 16,
+  realTokenReserves: 24,
+  realSolReserves: 32,
+  tokenTotalSupply: 40,
+  complete: 48,
+  creator: 49,
+};
+
+// Tokens a fresh curve can sell (793.1M, 6 decimals); the curve completes when they run out
+const INITIAL_REAL_TOKEN_RESERVES = 793_100_000_000_000n;
+
+const PUMP_TOKEN_DECIMALS = 6;
+
+// DEXes a completed curve migrates its liquidity to
+const GRADUATION_DEXES = new Set(['pump_fun_amm', 'raydium_v4', 'raydium_cp']);
+
+/**
+ * Decode a BondingCurve account
+ *
+ * @param {Buffer} data - Raw account data
+ * @returns {Object|null} Curve state (reserves as raw integer strings) or null if not a bonding curve
+ */
+export function decodeBondingCurve(data) {
+  if (!data || data.length < CURVE_LAYOUT.minLength) return null;
+  if (!data.subarray(0, 8).equals(BONDING_CURVE_DISCRIMINATOR)) return null;
+
+  const virtualTokenReserves = data.readBigUInt64LE(CURVE_LAYOUT.virtualTokenReserves);
+  const virtualSolReserves = data.readBigUInt64LE(CURVE_LAYOUT.virtualSolReserves);
+  const realTokenReserves = data.readBigUInt64LE(CURVE_LAYOUT.realTokenReserves);
+  const realSolReserves = data.readBigUInt64LE(CURVE_LAYOUT.realSolReserves);
+  const complete = data[CURVE_LAYOUT.complete] === 1;
+
+  // Spot price from the virtual reserves, in SOL per whole token
+  const priceSol =
+    virtualTokenReserves > 0n
+      ? Number(virtualSolReserves) / 1e9 / (Number(virtualTokenReserves) / 10 ** PUMP_TOKEN_DECIMALS)
+      : null;
+
+  return {
+    virtual_token_reserves: virtualTokenReserves.toString(),
+    virtual_sol_reserves: virtualSolReserves.toString(),
+    real_token_reserves: realTokenReserves.toString(),
+    real_sol_reserves: realSolReserves.toString(),
+    token_total_supply: data.readBigUInt64LE(CURVE_LAYOUT.tokenTotalSupply).toString(),
+    complete,
+    creator: data.length >= CURVE_LAYOUT.creator + 32 ? readPubkey(data, CURVE_LAYOUT.creator) : null,
+    progress_pct: complete ? 100 : curveProgressPct(realTokenReserves),
+    real_sol: Number(realSolReserves) / 1e9,
+    price_sol: priceSol,
+  };
+}
+
+/**
+ * Percent of the curve's sellable tokens already bought
+ */
+export function curveProgressPct(realTokenReserves) {
+  const remaining = BigInt(realTokenReserves);
+  if (remaining >= INITIAL_REAL_TOKEN_RESERVES) return 0;
+  if (remaining <= 0n) return 100;
+
+  // Basis points in integer math, then back to a percentage with two decimals
+  return Number(((INITIAL_REAL_TOKEN_RESERVES - remaining) * 10000n) / INITIAL_REAL_TOKEN_RESERVES) / 100;
+}
+
+/**
+ * Fetch and decode a bonding curve account
+ * Returns null when the account is missing or not a Pump.fun bonding curve
+ */
+export async function fetchBondingCurve(address) {
+  const account = await fetchAccountInfo(address);
+  if (!account) return null;
+
+  if (account.owner !== DEX_PROGRAMS.PUMP_FUN) {
+    log.warn('Bonding curve account has unexpected owner', { address, owner: account.owner });
+    return null;
+  }
+
+  const curve = decodeBondingCurve(account.data);
+  if (!curve) {
+    log.warn('Account is not a bonding curve', { address, length: account.data.length });
+  }
+  return curve;
+}
+
+/**
+ * Find the pool a token graduated to (earliest AMM pool among its pools)
+ */
+export function findGraduationPool(pools) {
+  return (
+    (pools || [])
+      .filter((p) => GRADUATION_DEXES.has(p.dex))
+      .sort((a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0))[0] || null
+  );
+}
+
+export { GRADUATION_DEXES };
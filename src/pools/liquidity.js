@@ -0,0 +1,137 @@
+/**
+ * Pool liquidity measurement
+ * Reads pool vault token accounts to compute SOL and USD liquidity
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { readPubkey } from '../utils/base58.js';
+import {
+  WSOL_MINT,
+  STABLECOIN_MINTS,
+  fetchAccountInfo,
+  fetchMultipleAccounts,
+  fetchTokenAccountsByOwner,
+} from '../helius.js';
+import { getAdapter } from '../dex/registry.js';
+
+const log = createLogger('liquidity');
+
+/**
+ * Measure liquidity for a pool record
+ * Returns { liquidity_sol, liquidity_usd, lp_mint, lp_supply, reserves } or null if it can't be valued
+ *
+ * @param {Object} pool - Pool record
+ * @param {number} solPriceUsd - Current SOL price, optional
+ * @param {number} basePriceSol - Latest swap price of the pool's token in SOL, used to value the
+ *   base side of concentrated-liquidity pools (optional)
+ */
+export async function fetchPoolLiquidity(pool, solPriceUsd, basePriceSol = null) {
+  if (!pool?.pool_address) return null;
+
+  const vaults = await resolvePoolVaults(pool);
+  if (!vaults || vaults.addresses.length === 0) {
+    log.debug('No vaults found for pool', { pool: pool.pool_address, dex: pool.dex });
+    return null;
+  }
+
+  const accounts = await fetchMultipleAccounts(vaults.addresses, 'jsonParsed');
+  const balances = accounts
+    .map((acc, i) => {
+      const info = acc?.data?.parsed?.info;
+      if (!info?.mint) return null;
+      return {
+        vault: vaults.addresses[i],
+        mint: info.mint,
+        amount: parseFloat(info.tokenAmount?.uiAmountString ?? info.tokenAmount?.uiAmount ?? 0),
+      };
+    })
+    .filter(Boolean);
+
+  const quote = balances.find((b) => b.mint === WSOL_MINT) || balances.find((b) => STABLECOIN_MINTS.has(b.mint));
+  if (!quote) {
+    log.debug('Pool has no SOL or stablecoin reserve', { pool: pool.pool_address });
+    return null;
+  }
+
+  const base = balances.find((b) => b !== quote && b.mint !== quote.mint) || null;
+
+  // Both sides of a constant-product pool hold equal value, so total = 2x quote side.
+  // Concentrated liquidity can sit mostly on one side, so both vaults are valued, the base at the
+  // latest swap price (only the quote side counts until the token has one).
+  const concentrated = !!getAdapter(pool.dex)?.concentrated;
+  const quoteSides = concentrated ? 1 : 2;
+  const baseValueSol =
+    concentrated && base && base.mint === pool.token_mint && basePriceSol > 0 ? base.amount * basePriceSol : 0;
+
+  let liquiditySol = null;
+  let liquidityUsd = null;
+  if (quote.mint === WSOL_MINT) {
+    liquiditySol = quote.amount * quoteSides + baseValueSol;
+    liquidityUsd = solPriceUsd ? liquiditySol * solPriceUsd : null;
+  } else {
+    liquidityUsd = quote.amount * quoteSides + (solPriceUsd ? baseValueSol * solPriceUsd : 0);
+    liquiditySol = solPriceUsd ? liquidityUsd / solPriceUsd : null;
+  }
+
+  return {
+    liquidity_sol: liquiditySol,
+    liquidity_usd: liquidityUsd,
+    lp_mint: vaults.lpMint,
+    lp_supply: vaults.lpSupply,
+    reserves: {
+      base_mint: base?.mint || null,
+      base_amount: base?.amount ?? null,
+      base_vault: base?.vault || null,
+      quote_mint: quote.mint,
+      quote_amount: quote.amount,
+      quote_vault: quote.vault,
+    },
+  };
+}
+
+/**
+ * Pick the pool with the highest USD liquidity (falls back to the first pool)
+ */
+export function pickDeepestPool(pools) {
+  if (!pools || pools.length === 0) return null;
+  return pools.reduce((best, p) => ((p.liquidity_usd || 0) > (best.liquidity_usd || 0) ? p : best), pools[0]);
+}
+
+/**
+ * Find the vault token accounts for a pool
+ * Decodes the pool account with the DEX adapter's layout (byte offsets of the vault and mint
+ * pubkeys and the u64 LP supply), otherwise lists token accounts the pool owns
+ */
+async function resolvePoolVaults(pool) {
+  const adapter = getAdapter(pool.dex);
+  const layout = adapter?.poolLayout;
+
+  if (layout) {
+    const account = await fetchAccountInfo(pool.pool_address);
+    if (!account) return null;
+
+    if (account.owner !== adapter.programId || account.data.length < layout.minLength) {
+      log.warn('Pool account does not match expected layout', {
+        pool: pool.pool_address,
+        dex: pool.dex,
+        owner: account.owner,
+        length: account.data.length,
+      });
+      return null;
+    }
+
+    return {
+      addresses: [readPubkey(account.data, layout.vaultA), readPubkey(account.data, layout.vaultB)],
+      lpMint: layout.lpMint !== undefined ? readPubkey(account.data, layout.lpMint) : null,
+      lpSupply: layout.lpSupply !== undefined ? account.data.readBigUInt64LE(layout.lpSupply).toString() : null,
+    };
+  }
+
+  // Fallback: vaults owned directly by the pool account (e.g. Whirlpool, Pump.fun AMM ATAs)
+  const owned = await fetchTokenAccountsByOwner(pool.pool_address);
+  return {
+    addresses: owned.map((acc) => acc.pubkey),
+    lpMint: null,
+    lpSupply: null,
+  };
+}
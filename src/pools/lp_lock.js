@@ -0,0 +1,91 @@
+/**
+ * LP burn / lock detection
+ * Measures what share of a pool's LP tokens is burned or held by known lockers
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { rpcRequest, fetchMultipleAccounts } from '../helius.js';
+import { BURN_ADDRESSES } from '../holders/classify.js';
+
+const log = createLogger('lp-lock');
+
+// LP locker programs (extend with LP_LOCKER_PROGRAMS=programId,...)
+const LP_LOCKER_PROGRAMS = new Set([
+  'strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m', // Streamflow
+  'LockrWmn6K5twhz3y9w1dQERbmgSaRkfnTeTKbpofwE', // Raydium LP lock
+  ...(process.env.LP_LOCKER_PROGRAMS || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean),
+]);
+
+/**
+ * Check LP burn and lock status for an LP mint
+ *
+ * @param {string} lpMint - LP token mint
+ * @param {string|null} mintedSupply - Raw LP supply recorded by the pool program, if known.
+ *   LP burned through the token program shrinks the mint supply but not this figure.
+ * @returns {Object|null} { lp_burned_pct, lp_locked_pct, meta } as percentages of LP ever minted
+ */
+export async function fetchLpLockStatus(lpMint, mintedSupply = null) {
+  if (!lpMint) return null;
+
+  const supplyResult = await rpcRequest('getTokenSupply', [lpMint], 'lp-supply');
+  const currentSupply = parseFloat(supplyResult?.value?.amount);
+  if (!Number.isFinite(currentSupply)) return null;
+
+  const minted = Math.max(parseFloat(mintedSupply) || 0, currentSupply);
+  if (minted === 0) return null;
+
+  const burnedBySupply = minted - currentSupply;
+
+  // LP still in circulation: check whether the largest holders are burn addresses or lockers
+  const largest = (await rpcRequest('getTokenLargestAccounts', [lpMint], 'lp-holders'))?.value || [];
+  let heldByBurn = 0;
+  let heldByLockers = 0;
+
+  if (largest.length > 0) {
+    const tokenAccounts = await fetchMultipleAccounts(
+      largest.map((acc) => acc.address),
+      'jsonParsed'
+    );
+    const holdings = largest
+      .map((acc, i) => ({
+        owner: tokenAccounts[i]?.data?.parsed?.info?.owner || null,
+        amount: parseFloat(acc.amount) || 0,
+      }))
+      .filter((h) => h.owner && h.amount > 0);
+
+    // Locker escrows are PDAs owned by the locker program, so look one level up
+    const ownerAccounts = await fetchMultipleAccounts(
+      holdings.map((h) => h.owner),
+      'base64',
+      { dataSlice: { offset: 0, length: 0 } }
+    );
+
+    holdings.forEach((h, i) => {
+      if (BURN_ADDRESSES.has(h.owner)) {
+        heldByBurn += h.amount;
+      } else if (LP_LOCKER_PROGRAMS.has(h.owner) || LP_LOCKER_PROGRAMS.has(ownerAccounts[i]?.owner)) {
+        heldByLockers += h.amount;
+      }
+    });
+  }
+
+  const result = {
+    lp_burned_pct: ((burnedBySupply + heldByBurn) / minted) * 100,
+    lp_locked_pct: (heldByLockers / minted) * 100,
+    meta: {
+      minted_supply: minted,
+      current_supply: currentSupply,
+      burned_by_supply: burnedBySupply,
+      held_by_burn: heldByBurn,
+      held_by_lockers: heldByLockers,
+    },
+  };
+
+  log.debug('LP lock status', { lpMint, burned: result.lp_burned_pct, locked: result.lp_locked_pct });
+  return result;
+}
+
+export { LP_LOCKER_PROGRAMS };
@@ -0,0 +1,178 @@
+/**
+ * Pool registry
+ * Learns DEX pool addresses and verifies unknown accounts by their owner program
+ */
+
+import { createHash } from 'crypto';
+import { createLogger } from '../utils/logger.js';
+import { LRUCache } from '../utils/dedupe.js';
+import { fetchMultipleAccounts } from '../helius.js';
+import { DEX_ADAPTERS } from '../dex/registry.js';
+
+const log = createLogger('pool-registry');
+
+// Program-owned accounts that appear in swaps but are not pools
+const NON_POOL_ACCOUNTS = new Set([
+  '4wTV1YmiEkRvAtNtsSGPtUrqRYQMe5SKy2uB4Jjaxnjf', // Pump.fun global config
+]);
+
+// Known pools: address -> { dex, token_mint, verified }
+const poolCache = new LRUCache(20000);
+
+// Accounts verified not to be pools
+const nonPoolCache = new LRUCache(50000);
+
+let programLookup = null;
+
+/**
+ * Map of program ID -> { dex, discriminators } for programs that own pools, built on first use
+ * An adapter without pool account names (a native program) accepts any account it owns.
+ */
+function getProgramLookup() {
+  if (!programLookup) {
+    programLookup = new Map();
+    for (const adapter of DEX_ADAPTERS) {
+      if (adapter.aggregator) continue;
+      const discriminators = adapter.poolAccounts.map((accountName) => anchorAccountDiscriminator(accountName));
+      programLookup.set(adapter.programId, { dex: adapter.dex, discriminators });
+    }
+  }
+  return programLookup;
+}
+
+/**
+ * First 8 bytes of sha256("account:<Name>"), as hex
+ */
+function anchorAccountDiscriminator(name) {
+  return createHash('sha256').update(`account:${name}`).digest().subarray(0, 8).toString('hex');
+}
+
+/**
+ * Register a pool learned from a pool creation (or verification)
+ */
+export function registerPool(pool, verified = false) {
+  if (!pool?.pool_address) return;
+
+  const existing = poolCache.get(pool.pool_address);
+  poolCache.add(pool.pool_address, {
+    dex: pool.dex || existing?.dex || 'unknown',
+    token_mint: pool.token_mint || existing?.token_mint || null,
+    verified: verified || existing?.verified || false,
+  });
+  nonPoolCache.delete(pool.pool_address);
+}
+
+/**
+ * Get a registered pool, or null
+ */
+export function getRegisteredPool(address) {
+  return poolCache.get(address) || null;
+}
+
+/**
+ * Check whether an address is a registered pool
+ */
+export function isRegisteredPool(address) {
+  return poolCache.has(address);
+}
+
+/**
+ * Resolve which of the given accounts are DEX pools
+ * Unknown accounts are checked via RPC; results are cached either way
+ *
+ * @returns {Map<string, { dex: string }>} pool accounts found among `addresses`
+ */
+export async function verifyPoolAccounts(addresses) {
+  const pools = new Map();
+  const unknown = [];
+
+  for (const address of new Set(addresses)) {
+    const known = poolCache.get(address);
+    if (known) {
+      pools.set(address, { dex: known.dex });
+    } else if (!nonPoolCache.has(address) && !NON_POOL_ACCOUNTS.has(address)) {
+      unknown.push(address);
+    }
+  }
+
+  if (unknown.length === 0) return pools;
+
+  // Only the owner and the 8-byte discriminator are needed
+  const accounts = await fetchMultipleAccounts(unknown, 'base64', { dataSlice: { offset: 0, length: 8 } });
+  const lookup = getProgramLookup();
+
+  for (let i = 0; i < unknown.length; i++) {
+    const address = unknown[i];
+    const account = accounts[i];
+
+    // Missing accounts may simply not exist yet; don't cache them
+    if (!account) continue;
+
+    const program = lookup.get(account.owner);
+    const discriminator = account.data.toString('hex');
+    const isPool =
+      program && (program.discriminators.length === 0 || program.discriminators.includes(discriminator));
+
+    if (isPool) {
+      const dex = program.dex;
+      poolCache.add(address, { dex, token_mint: null, verified: true });
+      pools.set(address, { dex });
+    } else {
+      nonPoolCache.add(address);
+    }
+  }
+
+  log.debug('Verified pool candidates', { checked: unknown.length, pools: pools.size });
+  return pools;
+}
+
+/**
+ * Attribute parsed swaps to their pool and DEX
+ * Uses `meta.pool_candidates` (in instruction order) collected by the swap parser
+ *
+ * @returns {Object[]} pools first seen through these swaps: { pool_address, dex, token_mint }
+ */
+export async function attributeSwapPools(swaps) {
+  const pending = (swaps || []).filter((s) => !s.pool_address && s.meta?.pool_candidates?.length);
+  const discovered = [];
+
+  if (pending.length > 0) {
+    const candidates = pending.flatMap((s) => s.meta.pool_candidates);
+    const pools = await verifyPoolAccounts(candidates);
+
+    for (const swap of pending) {
+      // Prefer a pool already tied to this token (multi-token swaps share candidates)
+      const poolAddress =
+        swap.meta.pool_candidates.find((c) => pools.has(c) && poolCache.get(c)?.token_mint === swap.token_mint) ||
+        swap.meta.pool_candidates.find((c) => pools.has(c));
+      if (!poolAddress) continue;
+
+      swap.pool_address = poolAddress;
+      swap.meta.dex = pools.get(poolAddress).dex;
+    }
+  }
+
+  // Tie each attributed pool to its token the first time we see it
+  for (const swap of swaps || []) {
+    if (swap.meta) delete swap.meta.pool_candidates;
+    if (!swap.pool_address) continue;
+
+    const entry = poolCache.get(swap.pool_address);
+    if (entry && !entry.token_mint) {
+      entry.token_mint = swap.token_mint;
+      discovered.push({ pool_address: swap.pool_address, dex: entry.dex, token_mint: swap.token_mint });
+    }
+  }
+
+  return discovered;
+}
+
+/**
+ * Get registry statistics
+ */
+export function getRegistryStats() {
+  return {
+    pools: poolCache.size(),
+    nonPools: nonPoolCache.size(),
+  };
+}
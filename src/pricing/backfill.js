@@ -0,0 +1,149 @@
+/**
+ * Swap USD backfill
+ * Fills amount_usd (and the SOL equivalent of stablecoin legs) for stored swaps that were
+ * ingested without a price
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { hoursAgo } from '../utils/time.js';
+import { getSwapsMissingUsd, updateSwapUsd, markSwapsUsdAttempted } from '../supabase.js';
+import {
+  getSolPrice,
+  fetchSolPriceHistory,
+  priceAt,
+  computeSwapUsd,
+  computeSwapPrices,
+  isStableQuoted,
+} from './sol_price.js';
+
+const log = createLogger('usd-backfill');
+
+// Configuration
+const BACKFILL_MAX_AGE_HOURS = parseInt(process.env.SOL_PRICE_BACKFILL_MAX_HOURS || '72', 10);
+const BACKFILL_RETRY_HOURS = parseInt(process.env.SOL_PRICE_BACKFILL_RETRY_HOURS || '6', 10);
+const BACKFILL_BATCH_SIZE = 500;
+
+// Swaps younger than this may use the current price if history is unavailable
+const CURRENT_PRICE_MAX_AGE_MS = 15 * 60 * 1000;
+
+/**
+ * Backfill amount_usd for swaps missing it
+ * Uses historical SOL prices where available, the current price for very recent swaps.
+ * Swaps that couldn't be priced are retried after SOL_PRICE_BACKFILL_RETRY_HOURS.
+ */
+export async function backfillSwapUsd({ maxRows = 5000, maxAgeHours = BACKFILL_MAX_AGE_HOURS } = {}) {
+  const since = hoursAgo(maxAgeHours);
+  const attemptedBefore = hoursAgo(BACKFILL_RETRY_HOURS);
+  let updated = 0;
+  let skipped = 0;
+  let lastTs = since;
+
+  while (updated + skipped < maxRows) {
+    const swaps = await getSwapsMissingUsd(
+      Math.min(BACKFILL_BATCH_SIZE, maxRows - updated - skipped),
+      lastTs,
+      attemptedBefore
+    );
+    if (swaps.length === 0) break;
+
+    const result = await priceBatch(swaps);
+    updated += result.updated;
+    skipped += result.skipped;
+
+    // Unpriceable swaps stay null, so advance past this batch to avoid refetching them
+    const newestTs = swaps[swaps.length - 1].ts;
+    if (newestTs === lastTs && result.updated === 0) break;
+    lastTs = newestTs;
+
+    if (swaps.length < BACKFILL_BATCH_SIZE) break;
+  }
+
+  if (updated > 0 || skipped > 0) {
+    log.info('Swap USD backfill complete', { updated, skipped });
+  }
+
+  return { updated, skipped };
+}
+
+/**
+ * Price one batch of swaps (sorted by ts ascending)
+ */
+async function priceBatch(swaps) {
+  const firstMs = new Date(swaps[0].ts).getTime();
+  const lastMs = new Date(swaps[swaps.length - 1].ts).getTime();
+
+  // SOL-quoted swaps need the SOL price for their USD value, stablecoin legs for their SOL equivalent
+  const needsSol = swaps.some((s) => (isStableQuoted(s) ? s.amount_sol === null : s.amount_usd === null));
+  const history = needsSol ? await fetchSolPriceHistory(firstMs - 3600000, lastMs + 3600000) : [];
+  const current = needsSol ? await getSolPrice() : null;
+
+  let updated = 0;
+  let skipped = 0;
+  const unpriced = [];
+
+  for (const swap of swaps) {
+    const tsMs = new Date(swap.ts).getTime();
+    const isStable = isStableQuoted(swap);
+
+    let solPrice = priceAt(history, tsMs);
+    let source = 'coingecko_history';
+    if (!solPrice && current && Date.now() - tsMs < CURRENT_PRICE_MAX_AGE_MS) {
+      solPrice = current.usd;
+      source = current.source;
+    }
+
+    const amountUsd = swap.amount_usd ?? computeSwapUsd(swap, solPrice);
+    if (amountUsd === null) {
+      skipped++;
+      unpriced.push(swap.id);
+      continue;
+    }
+
+    const prices = computeSwapPrices(swap, amountUsd, solPrice);
+    if (isStable && prices.amount_sol === null && swap.amount_usd !== null) {
+      // Already in dollars and still no SOL price to convert with
+      skipped++;
+      unpriced.push(swap.id);
+      continue;
+    }
+
+    const meta = {
+      ...swap.meta,
+      sol_price_usd: solPrice ?? undefined,
+      usd_price_source: isStable ? 'stablecoin' : source,
+      usd_backfilled: true,
+    };
+
+    try {
+      await updateSwapUsd(swap.id, { amount_usd: amountUsd, ...prices, meta });
+      updated++;
+    } catch (err) {
+      skipped++;
+    }
+  }
+
+  try {
+    await markSwapsUsdAttempted(unpriced);
+  } catch (err) {
+    log.warn('Failed to mark unpriced swaps', { count: unpriced.length, error: err.message });
+  }
+
+  return { updated, skipped };
+}
+
+// Allow running directly
+if (process.argv[1].includes('pricing/backfill.js')) {
+  // Load environment variables
+  const { config } = await import('dotenv');
+  config();
+
+  backfillSwapUsd({ maxRows: Number.MAX_SAFE_INTEGER })
+    .then((result) => {
+      log.info('Backfill finished', result);
+      process.exit(0);
+    })
+    .catch((err) => {
+      log.error('Backfill failed', err);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,256 @@
+/**
+ * SOL/USD price oracle
+ * Caches a reference SOL price and converts swap amounts to USD
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { WSOL_MINT, STABLECOIN_MINTS } from '../helius.js';
+
+const log = createLogger('sol-price');
+
+// Configuration
+const SOL_PRICE_SOURCE = (process.env.SOL_PRICE_SOURCE || 'jupiter').toLowerCase();
+const SOL_PRICE_CACHE_MS = parseInt(process.env.SOL_PRICE_CACHE_MS || '30000', 10);
+const SOL_PRICE_USD = parseFloat(process.env.SOL_PRICE_USD || '') || null;
+
+// Price sources
+const PRICE_SOURCES = {
+  jupiter: fetchJupiterPrice,
+  coingecko: fetchCoinGeckoPrice,
+  static: async () => SOL_PRICE_USD,
+};
+
+let cachedPrice = null;
+let inflightFetch = null;
+
+/**
+ * Get the current SOL/USD reference price
+ * Returns { usd, source, fetched_at } or null if no price is available
+ */
+export async function getSolPrice() {
+  if (cachedPrice && Date.now() - cachedPrice.fetchedAtMs < SOL_PRICE_CACHE_MS) {
+    return toPriceInfo(cachedPrice);
+  }
+
+  // Share one request between concurrent callers
+  if (!inflightFetch) {
+    inflightFetch = refreshPrice().finally(() => {
+      inflightFetch = null;
+    });
+  }
+
+  return inflightFetch;
+}
+
+/**
+ * Get the current SOL/USD price as a number (or null)
+ */
+export async function getSolPriceUsd() {
+  const price = await getSolPrice();
+  return price?.usd ?? null;
+}
+
+/**
+ * Fetch a fresh price from the configured source, falling back to stale cache
+ */
+async function refreshPrice() {
+  const fetcher = PRICE_SOURCES[SOL_PRICE_SOURCE];
+  if (!fetcher) {
+    log.warn('Unknown SOL_PRICE_SOURCE, using static price', { source: SOL_PRICE_SOURCE });
+  }
+
+  try {
+    const usd = await (fetcher || PRICE_SOURCES.static)();
+    if (usd && usd > 0) {
+      cachedPrice = { usd, source: fetcher ? SOL_PRICE_SOURCE : 'static', fetchedAtMs: Date.now() };
+      log.debug('SOL price refreshed', { usd, source: cachedPrice.source });
+      return toPriceInfo(cachedPrice);
+    }
+  } catch (err) {
+    log.warn('Failed to fetch SOL price', { source: SOL_PRICE_SOURCE, error: err.message });
+  }
+
+  // Serve the last known price rather than nothing
+  if (cachedPrice) {
+    return { ...toPriceInfo(cachedPrice), stale: true };
+  }
+
+  if (SOL_PRICE_USD) {
+    return { usd: SOL_PRICE_USD, source: 'static', fetched_at: new Date().toISOString() };
+  }
+
+  return null;
+}
+
+function toPriceInfo(price) {
+  return {
+    usd: price.usd,
+    source: price.source,
+    fetched_at: new Date(price.fetchedAtMs).toISOString(),
+  };
+}
+
+/**
+ * Fetch SOL price from the Jupiter price API
+ */
+async function fetchJupiterPrice() {
+  const response = await fetch(`https://lite-api.jup.ag/price/v2?ids=${WSOL_MINT}`);
+  if (!response.ok) {
+    throw new Error(`Jupiter price API returned ${response.status}`);
+  }
+
+  const data = await response.json();
+  return parseFloat(data.data?.[WSOL_MINT]?.price) || null;
+}
+
+/**
+ * Fetch SOL price from the CoinGecko simple price API
+ */
+async function fetchCoinGeckoPrice() {
+  const response = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd');
+  if (!response.ok) {
+    throw new Error(`CoinGecko price API returned ${response.status}`);
+  }
+
+  const data = await response.json();
+  return parseFloat(data.solana?.usd) || null;
+}
+
+/**
+ * Fetch historical SOL prices from CoinGecko for a time range
+ * Returns a sorted array of [timestampMs, usd] pairs (empty on failure)
+ */
+export async function fetchSolPriceHistory(fromMs, toMs) {
+  const from = Math.floor(fromMs / 1000);
+  const to = Math.ceil(toMs / 1000);
+
+  try {
+    const response = await fetch(
+      `https://api.coingecko.com/api/v3/coins/solana/market_chart/range?vs_currency=usd&from=${from}&to=${to}`
+    );
+
+    if (!response.ok) {
+      log.warn('Failed to fetch SOL price history', { status: response.status });
+      return [];
+    }
+
+    const data = await response.json();
+    return (data.prices || []).sort((a, b) => a[0] - b[0]);
+  } catch (err) {
+    log.warn('Error fetching SOL price history', { error: err.message });
+    return [];
+  }
+}
+
+/**
+ * Find the price closest in time to a timestamp in a sorted price history
+ */
+export function priceAt(history, tsMs) {
+  if (!history || history.length === 0) return null;
+
+  let lo = 0;
+  let hi = history.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (history[mid][0] < tsMs) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+
+  const after = history[lo];
+  const before = history[lo - 1];
+  if (before && Math.abs(before[0] - tsMs) < Math.abs(after[0] - tsMs)) {
+    return before[1];
+  }
+  return after[1];
+}
+
+/**
+ * Compute the USD value of a parsed swap
+ * Stablecoin-quoted swaps are already in dollars; SOL-quoted swaps use solPriceUsd
+ */
+export function computeSwapUsd(swap, solPriceUsd) {
+  if (isStableQuoted(swap)) {
+    const quoteAmount = parseFloat(swap.quote_amount);
+    return Number.isFinite(quoteAmount) && quoteAmount > 0 ? quoteAmount : null;
+  }
+
+  const amountSol = parseFloat(swap.amount_sol);
+  if (!Number.isFinite(amountSol) || amountSol <= 0 || !solPriceUsd) {
+    return null;
+  }
+
+  return amountSol * solPriceUsd;
+}
+
+/**
+ * Compute the implied token prices of a swap once its USD value is known
+ * Returns { price_sol, price_usd, amount_sol } (any may be null); amount_sol is the SOL
+ * equivalent of a stablecoin leg
+ */
+export function computeSwapPrices(swap, amountUsd, solPriceUsd) {
+  let amountSol = swap.amount_sol ?? null;
+  if (amountSol === null && amountUsd !== null && solPriceUsd) {
+    amountSol = amountUsd / solPriceUsd;
+  }
+
+  const amountToken = parseFloat(swap.amount_token);
+  if (!Number.isFinite(amountToken) || amountToken <= 0) {
+    return { price_sol: swap.price_sol ?? null, price_usd: null, amount_sol: amountSol };
+  }
+
+  const priceUsd = amountUsd !== null ? amountUsd / amountToken : null;
+  let priceSol = swap.price_sol ?? null;
+  if (priceSol === null && priceUsd !== null && solPriceUsd) {
+    priceSol = priceUsd / solPriceUsd;
+  }
+
+  return { price_sol: priceSol, price_usd: priceUsd, amount_sol: amountSol };
+}
+
+/**
+ * Check whether a swap's quote asset is a stablecoin
+ */
+export function isStableQuoted(swap) {
+  return STABLECOIN_MINTS.has(swap.quote_mint);
+}
+
+/**
+ * USD volume of a swap whatever its quote asset
+ * Stablecoin legs are dollars even before the pricing pass has run
+ */
+export function swapVolumeUsd(swap) {
+  const usd = parseFloat(swap.amount_usd);
+  if (Number.isFinite(usd)) return usd;
+  return isStableQuoted(swap) ? parseFloat(swap.quote_amount) || 0 : 0;
+}
+
+/**
+ * Fill amount_usd and implied prices on parsed swaps using the current reference price
+ */
+export async function priceSwaps(swaps) {
+  if (!swaps || swaps.length === 0) return swaps;
+
+  const price = await getSolPrice();
+
+  for (const swap of swaps) {
+    if (swap.amount_usd !== null && swap.amount_usd !== undefined) continue;
+
+    swap.amount_usd = computeSwapUsd(swap, price?.usd);
+    if (swap.amount_usd === null) continue;
+
+    Object.assign(swap, computeSwapPrices(swap, swap.amount_usd, price?.usd));
+
+    if (isStableQuoted(swap)) {
+      swap.meta = { ...swap.meta, sol_price_usd: price?.usd, usd_price_source: 'stablecoin' };
+    } else {
+      swap.meta = { ...swap.meta, sol_price_usd: price.usd, usd_price_source: price.source };
+    }
+  }
+
+  return swaps;
+}
+
+export { SOL_PRICE_SOURCE };
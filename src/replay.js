@@ -0,0 +1,436 @@
+/**
+ * Replay
+ * Runs stored raw_events back through the current parser and rewrites swaps, pools and tokens
+ * to match, reporting what changed
+ * Usage: node src/replay.js [--since ISO] [--until ISO] [--mint MINT] [--type EVENT_TYPE] [--limit N] [--dry-run]
+ */
+
+import { createLogger } from './utils/logger.js';
+import { hoursAgo } from './utils/time.js';
+import { parseWebhookPayload, getTransactionSignature } from './helius.js';
+import {
+  getRawEventsPage,
+  getSwapsBySignatures,
+  getPoolsByAddresses,
+  getTokensByMints,
+  insertTokensIfMissing,
+  upsertSwaps,
+  deleteSwaps,
+  upsertPool,
+  insertPoolIfMissing,
+} from './supabase.js';
+import { attributeSwapPools } from './pools/registry.js';
+import { recordCreatorLaunch } from './creators/reputation.js';
+import { backfillSwapUsd } from './pricing/backfill.js';
+
+const log = createLogger('replay');
+
+// Configuration
+const REPLAY_PAGE_SIZE = parseInt(process.env.REPLAY_PAGE_SIZE || '100', 10);
+const REPLAY_DEFAULT_HOURS = 24;
+const LOOKUP_CHUNK_SIZE = 50;
+const WRITE_CHUNK_SIZE = 100;
+
+// Changes listed individually in the report; the rest are only counted
+const REPORT_SAMPLE_SIZE = 20;
+
+// Columns the parser produces; these are compared and rewritten
+const SWAP_FIELDS = [
+  'ts',
+  'slot',
+  'side',
+  'amount_token',
+  'amount_sol',
+  'quote_mint',
+  'quote_amount',
+  'buyer',
+  'seller',
+  'pool_address',
+];
+const POOL_FIELDS = ['token_mint', 'dex', 'base_mint', 'quote_mint', 'lp_mint'];
+
+// Also filled after parsing (pricing, pool attribution): a null from the parser keeps the stored value
+const ENRICHED_FIELDS = new Set(['amount_sol', 'pool_address', 'lp_mint']);
+
+// Numbers closer than this (relative) count as equal
+const EPSILON = 1e-9;
+
+/**
+ * Replay raw events through the parser
+ * Writes are idempotent: replaying the same range twice changes nothing the second time.
+ *
+ * @param {Object} options
+ * @param {string} options.since - Replay events received from (ISO, default 24h ago)
+ * @param {string} options.until - ... up to (ISO, optional)
+ * @param {string} options.mint - Only rewrite rows for this token (optional)
+ * @param {string} options.eventType - Only replay events of this type (optional)
+ * @param {number} options.limit - Maximum number of events
+ * @param {boolean} options.dryRun - Report the diff without writing
+ * @returns {Object} Report: counts per table, changed-field counts and sample changes
+ */
+export async function replayEvents({
+  since = hoursAgo(REPLAY_DEFAULT_HOURS),
+  until = null,
+  mint = null,
+  eventType = null,
+  limit = Infinity,
+  dryRun = false,
+} = {}) {
+  const report = {
+    dryRun,
+    events: 0,
+    parseFailures: 0,
+    swaps: { added: 0, changed: 0, removed: 0, unchanged: 0 },
+    pools: { added: 0, changed: 0, unchanged: 0 },
+    tokens: { added: 0 },
+    changedFields: {},
+    samples: [],
+  };
+
+  log.info('Replay started', { since, until, mint, eventType, dryRun });
+
+  let repriced = 0;
+  while (report.events < limit) {
+    const events = await getRawEventsPage(
+      { since, until, eventType },
+      report.events,
+      Math.min(REPLAY_PAGE_SIZE, limit - report.events)
+    );
+    if (events.length === 0) break;
+
+    report.events += events.length;
+    repriced += await replayBatch(events, { mint, dryRun }, report);
+
+    if (events.length < REPLAY_PAGE_SIZE) break;
+  }
+
+  // Rewritten swaps whose amounts changed lost their USD value; price them at historical SOL prices
+  if (!dryRun && repriced > 0) {
+    const maxAgeHours = Math.ceil((Date.now() - new Date(since).getTime()) / 3600000) + 1;
+    await backfillSwapUsd({ maxAgeHours });
+  }
+
+  return report;
+}
+
+/**
+ * Replay one page of events
+ *
+ * @returns {number} Swaps written without a USD value
+ */
+async function replayBatch(events, { mint, dryRun }, report) {
+  const parsed = parseWebhookPayload(events.map((e) => e.payload), { dedupe: false });
+  report.parseFailures += parsed.failed.length;
+
+  const forMint = (row) => !mint || row.token_mint === mint;
+  const swaps = uniqueBy(parsed.swaps.filter(forMint), swapKey);
+  const pools = uniqueBy(parsed.pools.filter(forMint), (p) => p.pool_address);
+
+  // Needs RPC; swaps it can't attribute keep their stored pool
+  let discoveredPools = [];
+  try {
+    discoveredPools = (await attributeSwapPools(swaps)).filter(forMint);
+  } catch (err) {
+    log.warn('Failed to attribute swap pools', { error: err.message });
+  }
+
+  // Signatures that failed to parse produced nothing, which must not read as "remove its swaps"
+  const failed = new Set(parsed.failed);
+  const signatures = [
+    ...new Set(events.map((e) => e.signature || getTransactionSignature(e.payload)).filter(Boolean)),
+  ].filter((s) => !failed.has(s));
+
+  const storedSwaps = (await lookup(signatures, getSwapsBySignatures)).filter(forMint);
+  const storedPools = await lookup(
+    [...new Set([...pools, ...discoveredPools].map((p) => p.pool_address))],
+    getPoolsByAddresses
+  );
+
+  const swapDiff = diffSwaps(swaps, storedSwaps, report);
+  const poolDiff = diffPools(pools, discoveredPools, storedPools, report);
+
+  const mints = [
+    ...new Set([
+      ...parsed.tokens.map((t) => t.mint),
+      ...swaps.map((s) => s.token_mint),
+      ...pools.map((p) => p.token_mint),
+    ]),
+  ].filter((m) => !mint || m === mint);
+  const storedMints = new Set((await lookup(mints, getTokensByMints)).map((t) => t.mint));
+  const newTokens = mints
+    .filter((m) => !storedMints.has(m))
+    .map((m) => ({ mint: m, meta: { source: 'replay', discovered_at: new Date().toISOString() } }));
+  report.tokens.added += newTokens.length;
+
+  if (dryRun) return 0;
+
+  // Tokens first: swaps and pools reference them
+  await writeChunks(newTokens, insertTokensIfMissing);
+
+  for (const { pool, stored } of poolDiff.upserts) {
+    await upsertPool(pool.token_mint, pool.pool_address, {
+      dex: pool.dex,
+      base_mint: pool.base_mint,
+      quote_mint: pool.quote_mint,
+      created_at: pool.created_at,
+      ...(pool.lp_mint && { lp_mint: pool.lp_mint }),
+      ...(pool.liquidity_sol != null && { liquidity_sol: pool.liquidity_sol }),
+      ...(pool.liquidity_usd != null && { liquidity_usd: pool.liquidity_usd }),
+      meta: { ...stored?.meta, ...pool.meta },
+    });
+
+    if (!stored) {
+      try {
+        await recordCreatorLaunch(pool.meta?.fee_payer, pool.token_mint);
+      } catch (err) {
+        log.warn('Failed to record creator', { mint: pool.token_mint, error: err.message });
+      }
+    }
+  }
+  for (const pool of poolDiff.discovered) {
+    await insertPoolIfMissing(pool.token_mint, pool.pool_address, {
+      dex: pool.dex,
+      meta: { discovered_via: 'swap' },
+    });
+  }
+
+  await writeChunks(swapDiff.upserts, upsertSwaps);
+  await writeChunks(swapDiff.removed.map((s) => s.id), deleteSwaps);
+
+  return swapDiff.upserts.filter((s) => s.amount_usd === null).length;
+}
+
+// ============================================
+// DIFF
+// ============================================
+
+/**
+ * Compare parsed swaps with the stored rows for the same signatures
+ * Stored legs the parser no longer produces are removed.
+ *
+ * @returns {Object} { upserts (rows to write), removed (stored rows) }
+ */
+function diffSwaps(swaps, storedSwaps, report) {
+  const stored = new Map(storedSwaps.map((s) => [swapKey(s), s]));
+  const upserts = [];
+
+  for (const swap of swaps) {
+    const existing = stored.get(swapKey(swap));
+    stored.delete(swapKey(swap));
+
+    if (!existing) {
+      report.swaps.added++;
+      addSample(report, { table: 'swaps', action: 'added', signature: swap.signature, mint: swap.token_mint });
+      upserts.push(rewriteSwap(swap, null));
+      continue;
+    }
+
+    const changes = fieldChanges(swap, existing, SWAP_FIELDS, report);
+    if (changes) {
+      report.swaps.changed++;
+      addSample(report, {
+        table: 'swaps',
+        action: 'changed',
+        signature: swap.signature,
+        mint: swap.token_mint,
+        changes,
+      });
+      upserts.push(rewriteSwap(swap, existing));
+    } else {
+      report.swaps.unchanged++;
+    }
+  }
+
+  const removed = [...stored.values()];
+  for (const swap of removed) {
+    report.swaps.removed++;
+    addSample(report, { table: 'swaps', action: 'removed', signature: swap.signature, mint: swap.token_mint });
+  }
+
+  return { upserts, removed };
+}
+
+/**
+ * Compare parsed and swap-discovered pools with the stored rows
+ *
+ * @returns {Object} { upserts ({ pool, stored } to write), discovered (pools to insert) }
+ */
+function diffPools(pools, discoveredPools, storedPools, report) {
+  const stored = new Map(storedPools.map((p) => [p.pool_address, p]));
+  const upserts = [];
+
+  for (const pool of pools) {
+    const existing = stored.get(pool.pool_address);
+
+    if (!existing) {
+      report.pools.added++;
+      addSample(report, { table: 'pools', action: 'added', pool: pool.pool_address, mint: pool.token_mint });
+      upserts.push({ pool, stored: null });
+      continue;
+    }
+
+    const changes = fieldChanges(pool, existing, POOL_FIELDS, report);
+    if (changes) {
+      report.pools.changed++;
+      addSample(report, { table: 'pools', action: 'changed', pool: pool.pool_address, mint: pool.token_mint, changes });
+      upserts.push({ pool, stored: existing });
+    } else {
+      report.pools.unchanged++;
+    }
+  }
+
+  const created = new Set(pools.map((p) => p.pool_address));
+  const discovered = uniqueBy(
+    discoveredPools.filter((p) => !stored.has(p.pool_address) && !created.has(p.pool_address)),
+    (p) => p.pool_address
+  );
+  for (const pool of discovered) {
+    report.pools.added++;
+    addSample(report, { table: 'pools', action: 'added', pool: pool.pool_address, mint: pool.token_mint });
+  }
+
+  return { upserts, discovered };
+}
+
+/**
+ * Fields whose parsed value differs from the stored one, as { field: [stored, parsed] }, or null
+ */
+function fieldChanges(parsed, stored, fields, report) {
+  const changes = {};
+
+  for (const field of fields) {
+    const value = parsed[field] ?? null;
+    if (value === null && ENRICHED_FIELDS.has(field)) continue;
+    if (sameValue(value, stored[field] ?? null, field)) continue;
+
+    changes[field] = [stored[field] ?? null, value];
+    report.changedFields[field] = (report.changedFields[field] || 0) + 1;
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+function sameValue(a, b, field) {
+  if (a === null || b === null) return a === b;
+  if (field === 'ts') return new Date(a).getTime() === new Date(b).getTime();
+  if (typeof a === 'number' || typeof b === 'number') {
+    const x = Number(a);
+    const y = Number(b);
+    return Math.abs(x - y) <= EPSILON * Math.max(1, Math.abs(x), Math.abs(y));
+  }
+  return a === b;
+}
+
+/**
+ * Row to store for a replayed swap
+ * USD pricing is kept while the amounts it was computed from are unchanged; otherwise it is
+ * cleared for the historical backfill to fill in.
+ */
+function rewriteSwap(swap, stored) {
+  const keepPricing =
+    stored &&
+    sameValue(swap.quote_mint ?? null, stored.quote_mint ?? null, 'quote_mint') &&
+    sameValue(swap.quote_amount ?? null, stored.quote_amount ?? null, 'quote_amount') &&
+    sameValue(swap.amount_token ?? null, stored.amount_token ?? null, 'amount_token');
+
+  return {
+    ...swap,
+    amount_sol: swap.amount_sol ?? (keepPricing ? stored.amount_sol : null),
+    price_sol: swap.price_sol ?? (keepPricing ? stored.price_sol : null),
+    amount_usd: keepPricing ? stored.amount_usd : null,
+    price_usd: keepPricing ? stored.price_usd : null,
+    usd_attempted_at: keepPricing ? stored.usd_attempted_at ?? null : null,
+    pool_address: swap.pool_address ?? stored?.pool_address ?? null,
+    meta: { ...stored?.meta, ...swap.meta },
+  };
+}
+
+function addSample(report, sample) {
+  if (report.samples.length < REPORT_SAMPLE_SIZE) report.samples.push(sample);
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function swapKey(swap) {
+  return `${swap.signature}:${swap.token_mint}`;
+}
+
+function uniqueBy(rows, key) {
+  const seen = new Set();
+  return rows.filter((row) => {
+    const k = key(row);
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+async function lookup(keys, fetch) {
+  const rows = [];
+  for (let i = 0; i < keys.length; i += LOOKUP_CHUNK_SIZE) {
+    rows.push(...(await fetch(keys.slice(i, i + LOOKUP_CHUNK_SIZE))));
+  }
+  return rows;
+}
+
+async function writeChunks(rows, write) {
+  for (let i = 0; i < rows.length; i += WRITE_CHUNK_SIZE) {
+    await write(rows.slice(i, i + WRITE_CHUNK_SIZE));
+  }
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(args) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--since' && args[i + 1]) {
+      options.since = new Date(args[++i]).toISOString();
+    } else if (args[i] === '--until' && args[i + 1]) {
+      options.until = new Date(args[++i]).toISOString();
+    } else if (args[i] === '--mint' && args[i + 1]) {
+      options.mint = args[++i];
+    } else if (args[i] === '--type' && args[i + 1]) {
+      options.eventType = args[++i];
+    } else if (args[i] === '--limit' && args[i + 1]) {
+      options.limit = parseInt(args[++i], 10);
+    } else if (args[i] === '--dry-run') {
+      options.dryRun = true;
+    }
+  }
+
+  return options;
+}
+
+// Allow running directly
+if (process.argv[1].includes('replay.js')) {
+  // Load environment variables
+  const { config } = await import('dotenv');
+  config();
+
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    log.error('Invalid arguments', { error: err.message });
+    process.exit(1);
+  }
+
+  replayEvents(options)
+    .then((report) => {
+      const { samples, ...summary } = report;
+      for (const sample of samples) {
+        log.info('Replay diff', sample);
+      }
+      log.info(report.dryRun ? 'Replay dry run finished (nothing written)' : 'Replay finished', summary);
+      process.exit(0);
+    })
+    .catch((err) => {
+      log.error('Replay failed', err);
+      process.exit(1);
+    });
+}
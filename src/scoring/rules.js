@@ -81,6 +81,34 @@ export const BUY_PRESSURE_THRESHOLDS = {
   SELL_PRESSURE: { min: 0, points: 0, reason: 'SELL_PRESSURE' },
 };
 
+// ============================================
+// SMART BUYERS 5M BONUS (0-10 points)
+// Labeled wallets from tracked_wallets buying in the last 5 minutes
+// ============================================
+export const SMART_BUYERS_5M_THRESHOLDS = {
+  EXCELLENT: { min: 3, points: 10, reason: 'SMART_BUYERS_5M_3_PLUS' },
+  GOOD: { min: 2, points: 7, reason: 'SMART_BUYERS_5M_2_PLUS' },
+  LOW: { min: 1, points: 4, reason: 'SMART_BUYERS_5M_1_PLUS' },
+  NONE: { min: 0, points: 0, reason: 'SMART_BUYERS_5M_NONE' },
+};
+
+// ============================================
+// BONDING CURVE BONUS (0-5 points)
+// Pump.fun tokens close to graduating, or recently migrated to an AMM
+// ============================================
+export const BONDING_CURVE_SIGNALS = {
+  GRADUATION_IMMINENT: {
+    minProgressPct: parseFloat(process.env.CURVE_IMMINENT_PCT || '85'),
+    points: 5,
+    reason: 'CURVE_GRADUATION_IMMINENT',
+  },
+  JUST_GRADUATED: {
+    withinMinutes: parseInt(process.env.JUST_GRADUATED_MINUTES || '30', 10),
+    points: 5,
+    reason: 'JUST_GRADUATED',
+  },
+};
+
 // ============================================
 // PENALTIES
 // ============================================
@@ -109,6 +137,33 @@ export const AUTHORITY_PENALTIES = {
   BOTH_AUTHORITIES: { penalty: -20, reason: 'BOTH_AUTHORITIES_PRESENT', flag: 'FULL_AUTHORITY_RISK' },
 };
 
+// Token-2022 Extension Penalties
+// Permanent delegates and transfer hooks let the issuer move or block holder tokens
+export const TOKEN_2022_PENALTIES = {
+  PERMANENT_DELEGATE: { penalty: -25, reason: 'PERMANENT_DELEGATE_PRESENT', flag: 'PERMANENT_DELEGATE_RISK' },
+  TRANSFER_HOOK: { penalty: -20, reason: 'TRANSFER_HOOK_PRESENT', flag: 'TRANSFER_HOOK_RISK' },
+  NON_TRANSFERABLE: { penalty: -30, reason: 'NON_TRANSFERABLE_TOKEN', flag: 'NON_TRANSFERABLE_RISK' },
+  DEFAULT_FROZEN: { penalty: -25, reason: 'DEFAULT_ACCOUNT_STATE_FROZEN', flag: 'DEFAULT_FROZEN_RISK' },
+  TRANSFER_FEE: { penalty: -10, reason: 'TRANSFER_FEE_PRESENT', flag: 'TRANSFER_FEE_RISK' },
+  MINT_CLOSE_AUTHORITY: { penalty: -5, reason: 'MINT_CLOSE_AUTHORITY_PRESENT', flag: 'MINT_CLOSE_AUTHORITY_RISK' },
+};
+
+// LP Lock Penalty
+// Applied once LP status has been checked and less than minSecuredPct is burned or locked
+export const LP_LOCK_PENALTY = {
+  minSecuredPct: parseFloat(process.env.LP_MIN_SECURED_PCT || '90'),
+  penalty: -15,
+  reason: 'LP_NOT_BURNED_OR_LOCKED',
+  flag: 'LP_NOT_LOCKED',
+};
+
+// Creator Reputation Penalty
+// Based on how the deployer's earlier launches ended (status dead or scam)
+export const CREATOR_REPUTATION_PENALTIES = {
+  SERIAL_RUGGER: { minRugs: 3, minRugRate: 0.5, penalty: -30, reason: 'CREATOR_SERIAL_RUGGER', flag: 'SERIAL_RUGGER' },
+  RUG_HISTORY: { minRugs: 1, minRugRate: 0.25, penalty: -10, reason: 'CREATOR_RUG_HISTORY', flag: 'CREATOR_RUG_HISTORY' },
+};
+
 // ============================================
 // RISK FLAGS (non-scoring warnings)
 // ============================================
@@ -119,8 +174,21 @@ export const RISK_FLAGS = {
   NO_VOLUME: { threshold: 0, flag: 'NO_RECENT_VOLUME' },
   WHALE_CONCENTRATION: { threshold: 40, flag: 'WHALE_CONCENTRATION' },
   RAPID_PRICE_DROP: { threshold: -30, flag: 'RAPID_PRICE_DROP' },
+  SNIPER_HEAVY: { supplyPct: 20, bundledWallets: 5, flag: 'SNIPER_HEAVY' },
 };
 
+// Flags that block alerts below SCORE_THRESHOLD_WITH_FLAGS
+export const HARD_RISK_FLAGS = [
+  'FULL_AUTHORITY_RISK',
+  'MINT_AUTHORITY_RISK',
+  'FREEZE_AUTHORITY_RISK',
+  'PERMANENT_DELEGATE_RISK',
+  'TRANSFER_HOOK_RISK',
+  'NON_TRANSFERABLE_RISK',
+  'DEFAULT_FROZEN_RISK',
+  'SERIAL_RUGGER',
+];
+
 // ============================================
 // ALERT THRESHOLDS
 // ============================================
@@ -142,6 +210,8 @@ export const MAX_POINTS = {
   UNIQUE_BUYERS_5M: 10,
   BUY_PRESSURE: 10,
   // Total positive: 100
+  SMART_BUYERS_5M: 10, // Bonus on top; final score is clamped to 100
+  BONDING_CURVE: 5, // Bonus on top
 };
 
 // ============================================
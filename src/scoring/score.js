@@ -11,10 +11,16 @@ import {
   HOLDER_COUNT_THRESHOLDS,
   UNIQUE_BUYERS_5M_THRESHOLDS,
   BUY_PRESSURE_THRESHOLDS,
+  SMART_BUYERS_5M_THRESHOLDS,
+  BONDING_CURVE_SIGNALS,
   TOP10_CONCENTRATION_PENALTIES,
   TOP1_CONCENTRATION_PENALTIES,
   AUTHORITY_PENALTIES,
+  TOKEN_2022_PENALTIES,
+  LP_LOCK_PENALTY,
+  CREATOR_REPUTATION_PENALTIES,
   RISK_FLAGS,
+  HARD_RISK_FLAGS,
   MAX_POINTS,
 } from './rules.js';
 
@@ -26,10 +32,11 @@ import {
  * @param {Object} tokenState.metrics - Latest token_metrics record
  * @param {Object} tokenState.holders - Latest holder_snapshot record
  * @param {Object} tokenState.pool - Pool record (optional)
+ * @param {Object} tokenState.creator - Creator record for token.creator (optional)
  * @returns {Object} { score: number, reasons: string[], risk_flags: string[], components: Object }
  */
 export function score(tokenState) {
-  const { token, metrics, holders, pool } = tokenState;
+  const { token, metrics, holders, pool, creator } = tokenState;
 
   const components = {};
   const reasons = [];
@@ -39,6 +46,7 @@ export function score(tokenState) {
 
   // ============================================
   // POSITIVE SCORING
+  // Activity factors use organic (wash-filtered) figures when available
   // ============================================
 
   // 1. Liquidity Score (0-25)
@@ -54,10 +62,11 @@ export function score(tokenState) {
   reasons.push(liquidityResult.reason);
 
   // 2. Unique Buyers 1m Score (0-20)
-  const uniqueBuyers1m = metrics?.unique_buyers_1m || 0;
+  const uniqueBuyers1m = metrics?.organic_unique_buyers_1m ?? metrics?.unique_buyers_1m ?? 0;
   const buyers1mResult = scoreByThreshold(uniqueBuyers1m, UNIQUE_BUYERS_1M_THRESHOLDS);
   components.unique_buyers_1m = {
     value: uniqueBuyers1m,
+    raw: metrics?.unique_buyers_1m ?? 0,
     points: buyers1mResult.points,
     maxPoints: MAX_POINTS.UNIQUE_BUYERS_1M,
     reason: buyers1mResult.reason,
@@ -66,7 +75,7 @@ export function score(tokenState) {
   reasons.push(buyers1mResult.reason);
 
   // 3. Swaps 1m Score (0-15)
-  const swaps1m = metrics?.swaps_1m || 0;
+  const swaps1m = metrics?.organic_swaps_1m ?? metrics?.swaps_1m ?? 0;
   const swaps1mResult = scoreByThreshold(swaps1m, SWAPS_1M_THRESHOLDS);
   components.swaps_1m = {
     value: swaps1m,
@@ -78,7 +87,7 @@ export function score(tokenState) {
   reasons.push(swaps1mResult.reason);
 
   // 4. Volume 1m Score (0-10)
-  const volume1m = metrics?.volume_usd_1m || 0;
+  const volume1m = parseFloat(metrics?.organic_volume_usd_1m ?? metrics?.volume_usd_1m) || 0;
   const volume1mResult = scoreByThreshold(volume1m, VOLUME_1M_THRESHOLDS);
   components.volume_1m = {
     value: volume1m,
@@ -102,10 +111,11 @@ export function score(tokenState) {
   reasons.push(holderResult.reason);
 
   // 6. Unique Buyers 5m Score (0-10)
-  const uniqueBuyers5m = metrics?.unique_buyers_5m || 0;
+  const uniqueBuyers5m = metrics?.organic_unique_buyers_5m ?? metrics?.unique_buyers_5m ?? 0;
   const buyers5mResult = scoreByThreshold(uniqueBuyers5m, UNIQUE_BUYERS_5M_THRESHOLDS);
   components.unique_buyers_5m = {
     value: uniqueBuyers5m,
+    raw: metrics?.unique_buyers_5m ?? 0,
     points: buyers5mResult.points,
     maxPoints: MAX_POINTS.UNIQUE_BUYERS_5M,
     reason: buyers5mResult.reason,
@@ -128,6 +138,35 @@ export function score(tokenState) {
   totalScore += buyPressureResult.points;
   reasons.push(buyPressureResult.reason);
 
+  // 8. Smart Buyers 5m Bonus (0-10)
+  const smartBuyers5m = metrics?.smart_buyers_5m || 0;
+  if (smartBuyers5m > 0) {
+    const smartBuyersResult = scoreByThreshold(smartBuyers5m, SMART_BUYERS_5M_THRESHOLDS);
+    components.smart_buyers_5m = {
+      value: smartBuyers5m,
+      wallets: (metrics?.meta?.smart_buyers || []).map((b) => b.label),
+      points: smartBuyersResult.points,
+      maxPoints: MAX_POINTS.SMART_BUYERS_5M,
+      reason: smartBuyersResult.reason,
+    };
+    totalScore += smartBuyersResult.points;
+    reasons.push(smartBuyersResult.reason);
+  }
+
+  // 9. Bonding Curve Bonus (0-5)
+  const curveSignal = bondingCurveSignal(token);
+  if (curveSignal) {
+    components.bonding_curve = {
+      progressPct: token.curve_progress_pct != null ? parseFloat(token.curve_progress_pct) : null,
+      graduatedAt: token.graduated_at || null,
+      points: curveSignal.points,
+      maxPoints: MAX_POINTS.BONDING_CURVE,
+      reason: curveSignal.reason,
+    };
+    totalScore += curveSignal.points;
+    reasons.push(curveSignal.reason);
+  }
+
   // ============================================
   // PENALTIES
   // ============================================
@@ -198,6 +237,77 @@ export function score(tokenState) {
     riskFlags.push(AUTHORITY_PENALTIES.FREEZE_AUTHORITY.flag);
   }
 
+  // Token-2022 Extension Penalties
+  const extensions = token?.token_extensions;
+  if (extensions) {
+    const applied = [];
+    if (extensions.permanent_delegate) applied.push(TOKEN_2022_PENALTIES.PERMANENT_DELEGATE);
+    if (extensions.transfer_hook?.program_id) applied.push(TOKEN_2022_PENALTIES.TRANSFER_HOOK);
+    if (extensions.non_transferable) applied.push(TOKEN_2022_PENALTIES.NON_TRANSFERABLE);
+    if (extensions.default_account_state === 'frozen') applied.push(TOKEN_2022_PENALTIES.DEFAULT_FROZEN);
+    if (extensions.transfer_fee?.basis_points > 0) applied.push(TOKEN_2022_PENALTIES.TRANSFER_FEE);
+    if (extensions.mint_close_authority) applied.push(TOKEN_2022_PENALTIES.MINT_CLOSE_AUTHORITY);
+
+    if (applied.length > 0) {
+      const penalty = applied.reduce((sum, p) => sum + p.penalty, 0);
+      components.token_2022 = {
+        extensions: applied.map((p) => p.reason),
+        transferFeeBps: extensions.transfer_fee?.basis_points ?? null,
+        penalty,
+      };
+      totalScore += penalty;
+      for (const p of applied) {
+        reasons.push(p.reason);
+        riskFlags.push(p.flag);
+      }
+    }
+  }
+
+  // LP Lock Penalty (only once the pool's LP status has been checked)
+  if (pool?.lp_checked_at && (pool.lp_burned_pct != null || pool.lp_locked_pct != null)) {
+    const burnedPct = parseFloat(pool.lp_burned_pct) || 0;
+    const lockedPct = parseFloat(pool.lp_locked_pct) || 0;
+    const securedPct = Math.min(100, burnedPct + lockedPct);
+    const unlocked = securedPct < LP_LOCK_PENALTY.minSecuredPct;
+
+    components.lp_lock = {
+      burnedPct,
+      lockedPct,
+      securedPct,
+      penalty: unlocked ? LP_LOCK_PENALTY.penalty : 0,
+    };
+
+    if (unlocked) {
+      totalScore += LP_LOCK_PENALTY.penalty;
+      reasons.push(LP_LOCK_PENALTY.reason);
+      riskFlags.push(LP_LOCK_PENALTY.flag);
+    }
+  }
+
+  // Creator Reputation Penalty
+  if (creator) {
+    const rugCount = (creator.dead_count || 0) + (creator.scam_count || 0);
+    const rugRate = parseFloat(creator.rug_rate) || 0;
+    const tier = Object.values(CREATOR_REPUTATION_PENALTIES).find(
+      (t) => rugCount >= t.minRugs && rugRate >= t.minRugRate
+    );
+
+    components.creator = {
+      wallet: creator.wallet,
+      tokenCount: creator.token_count || 0,
+      rugCount,
+      rugRate,
+      peakScore: creator.peak_score ?? null,
+      penalty: tier ? tier.penalty : 0,
+    };
+
+    if (tier) {
+      totalScore += tier.penalty;
+      reasons.push(tier.reason);
+      riskFlags.push(tier.flag);
+    }
+  }
+
   // ============================================
   // RISK FLAGS (non-scoring)
   // ============================================
@@ -236,6 +346,16 @@ export function score(tokenState) {
     riskFlags.push(RISK_FLAGS.RAPID_PRICE_DROP.flag);
   }
 
+  // Sniper / Bundled Launch Warning
+  const snipers = metrics?.meta?.snipers;
+  if (
+    snipers &&
+    (snipers.sniper_supply_pct >= RISK_FLAGS.SNIPER_HEAVY.supplyPct ||
+      snipers.bundled_wallets >= RISK_FLAGS.SNIPER_HEAVY.bundledWallets)
+  ) {
+    riskFlags.push(RISK_FLAGS.SNIPER_HEAVY.flag);
+  }
+
   // ============================================
   // FINAL SCORE
   // ============================================
@@ -251,6 +371,26 @@ export function score(tokenState) {
   };
 }
 
+/**
+ * Pick the bonding-curve signal that applies to a token, if any
+ * Recent graduation takes precedence over a curve that is nearly complete
+ */
+function bondingCurveSignal(token) {
+  const { GRADUATION_IMMINENT, JUST_GRADUATED } = BONDING_CURVE_SIGNALS;
+
+  if (token?.graduated_at) {
+    const minutesSince = (Date.now() - new Date(token.graduated_at).getTime()) / 60000;
+    return minutesSince <= JUST_GRADUATED.withinMinutes ? JUST_GRADUATED : null;
+  }
+
+  const progressPct = parseFloat(token?.curve_progress_pct);
+  if (progressPct >= GRADUATION_IMMINENT.minProgressPct) {
+    return GRADUATION_IMMINENT;
+  }
+
+  return null;
+}
+
 /**
  * Score by threshold (for positive scoring)
  */
@@ -301,9 +441,7 @@ function penaltyByThreshold(value, thresholds) {
  */
 export function shouldAlert(scoreResult, previousScore = null, previousRiskFlags = []) {
   const { score: currentScore, risk_flags: currentFlags } = scoreResult;
-  const hasHardFlags = currentFlags.some((f) =>
-    ['FULL_AUTHORITY_RISK', 'MINT_AUTHORITY_RISK', 'FREEZE_AUTHORITY_RISK'].includes(f)
-  );
+  const hasHardFlags = currentFlags.some((f) => HARD_RISK_FLAGS.includes(f));
 
   const SCORE_THRESHOLD = parseInt(process.env.ALERT_SCORE_THRESHOLD || '70', 10);
   const SCORE_THRESHOLD_WITH_FLAGS = parseInt(process.env.ALERT_SCORE_THRESHOLD_WITH_FLAGS || '80', 10);
@@ -1,19 +1,36 @@
 /**
  * Webhook Server
- * Receives and processes Helius webhooks
+ * Receives Helius webhooks and queues them for the ingest worker
  */
 
 import Fastify from 'fastify';
 import { createLogger } from './utils/logger.js';
-import { validateWebhookSecret, parseWebhookPayload, getEventType } from './helius.js';
-import { upsertToken, insertSwap, upsertPool, storeRawEvent, testConnection } from './supabase.js';
+import { authenticateWebhook, forgetWebhookDelivery, checkWebhookAuthConfig, TRUST_PROXY } from './webhook_auth.js';
+import { testConnection } from './supabase.js';
+import { enqueueWebhookPayload } from './ingest.js';
+import { isValidWebhookBody, getValidationStats } from './transactions/schema.js';
+import { wakeIngestWorker } from './workers/ingest_worker.js';
 
 const log = createLogger('server');
 
+// Response body per webhook rejection status (the reason is only logged)
+const WEBHOOK_ERRORS = { 401: 'Unauthorized', 403: 'Forbidden', 409: 'Replayed delivery' };
+
 // Create Fastify instance
 const fastify = Fastify({
   logger: false, // We use our own logger
-  trustProxy: true,
+  trustProxy: TRUST_PROXY,
+});
+
+// Keep the raw body for webhook signature verification
+fastify.addContentTypeParser('application/json', { parseAs: 'buffer' }, (request, body, done) => {
+  request.rawBody = body;
+  try {
+    done(null, body.length > 0 ? JSON.parse(body.toString('utf8')) : null);
+  } catch (err) {
+    err.statusCode = 400;
+    done(err);
+  }
 });
 
 // Health check endpoint
@@ -23,6 +40,7 @@ fastify.get('/health', async (request, reply) => {
     status: dbOk ? 'ok' : 'degraded',
     timestamp: new Date().toISOString(),
     db: dbOk ? 'connected' : 'disconnected',
+    validation: getValidationStats(),
   };
 });
 
@@ -42,130 +60,41 @@ fastify.get('/', async (request, reply) => {
 fastify.post('/webhook/helius', async (request, reply) => {
   const startTime = Date.now();
 
-  // Validate webhook secret
-  if (!validateWebhookSecret(request)) {
-    log.warn('Invalid webhook secret', {
+  // Authenticate the delivery
+  const auth = authenticateWebhook(request);
+  if (!auth.ok) {
+    log.warn('Webhook rejected', {
+      reason: auth.reason,
       ip: request.ip,
       headers: Object.keys(request.headers),
     });
-    return reply.code(401).send({ error: 'Unauthorized' });
+    return reply.code(auth.status).send({ error: WEBHOOK_ERRORS[auth.status] });
   }
 
   const payload = request.body;
-
-  // Quick acknowledgment - process asynchronously
-  // Helius expects a 200 response quickly
-  reply.code(200).send({ received: true });
-
-  // Process in background
-  setImmediate(async () => {
-    try {
-      await processWebhookPayload(payload);
-      log.info('Webhook processed', { durationMs: Date.now() - startTime });
-    } catch (err) {
-      log.error('Webhook processing failed', { error: err.message, stack: err.stack });
-    }
-  });
-});
-
-/**
- * Process webhook payload
- */
-async function processWebhookPayload(payload) {
-  // Parse the payload
-  const parsed = parseWebhookPayload(payload);
-
-  log.debug('Parsed webhook', {
-    tokens: parsed.tokens.length,
-    swaps: parsed.swaps.length,
-    pools: parsed.pools.length,
-  });
-
-  // Store raw event for debugging (in background)
-  const transactions = Array.isArray(payload) ? payload : [payload];
-  for (const tx of transactions) {
-    if (tx.signature) {
-      storeRawEvent(getEventType(tx), tx.signature, tx).catch((err) =>
-        log.error('Failed to store raw event', { error: err.message })
-      );
-    }
+  if (!isValidWebhookBody(payload)) {
+    log.warn('Webhook rejected', { reason: 'Body is not a transaction or an array of transactions', ip: request.ip });
+    return reply.code(400).send({ error: 'Invalid payload' });
   }
 
-  // Process tokens (create if not exists)
-  for (const tokenData of parsed.tokens) {
-    try {
-      await upsertToken(tokenData.mint, {
-        meta: {
-          source: tokenData.source,
-          discovered_at: new Date().toISOString(),
-        },
-      });
-      log.debug('Token upserted', { mint: tokenData.mint, source: tokenData.source });
-    } catch (err) {
-      // Ignore duplicate errors
-      if (!err.message.includes('duplicate') && !err.message.includes('unique')) {
-        log.error('Failed to upsert token', { mint: tokenData.mint, error: err.message });
-      }
-    }
+  // Persist before acknowledging: if the queue can't be written, Helius retries the delivery.
+  // Invalid transactions are quarantined rather than rejected, so a redelivery can't fix them.
+  let result;
+  try {
+    result = await enqueueWebhookPayload(payload);
+  } catch (err) {
+    log.error('Failed to queue webhook', { error: err.message });
+    forgetWebhookDelivery(auth);
+    return reply.code(503).send({ error: 'Queue unavailable' });
   }
 
-  // Process swaps
-  for (const swap of parsed.swaps) {
-    try {
-      // Ensure token exists
-      await upsertToken(swap.token_mint, {
-        meta: {
-          source: 'swap',
-          discovered_at: new Date().toISOString(),
-        },
-      });
-
-      // Insert swap
-      await insertSwap(swap);
-      log.debug('Swap inserted', {
-        mint: swap.token_mint,
-        signature: swap.signature,
-        side: swap.side,
-      });
-    } catch (err) {
-      // Ignore duplicate errors
-      if (!err.message.includes('duplicate') && !err.message.includes('unique')) {
-        log.error('Failed to insert swap', { signature: swap.signature, error: err.message });
-      }
-    }
-  }
+  log.debug('Webhook queued', { ...result, durationMs: Date.now() - startTime });
 
-  // Process pools
-  for (const pool of parsed.pools) {
-    try {
-      // Ensure token exists
-      await upsertToken(pool.token_mint, {
-        meta: {
-          source: 'pool_creation',
-          discovered_at: new Date().toISOString(),
-        },
-      });
-
-      // Insert pool
-      await upsertPool(pool.token_mint, pool.pool_address, {
-        dex: pool.dex,
-        base_mint: pool.base_mint,
-        quote_mint: pool.quote_mint,
-        created_at: pool.created_at,
-        meta: pool.meta,
-      });
-      log.debug('Pool upserted', {
-        mint: pool.token_mint,
-        pool: pool.pool_address,
-        dex: pool.dex,
-      });
-    } catch (err) {
-      if (!err.message.includes('duplicate') && !err.message.includes('unique')) {
-        log.error('Failed to upsert pool', { pool: pool.pool_address, error: err.message });
-      }
-    }
-  }
-}
+  // Processing happens in the ingest worker; nudge it if it runs in this process
+  if (result.queued > 0) wakeIngestWorker();
+
+  return reply.code(200).send({ received: true, ...result });
+});
 
 /**
  * Start the server
@@ -174,6 +103,8 @@ export async function startServer() {
   const port = parseInt(process.env.PORT || '3000', 10);
   const host = process.env.HOST || '0.0.0.0';
 
+  checkWebhookAuthConfig();
+
   try {
     await fastify.listen({ port, host });
     log.info('Server started', { port, host });
@@ -5,6 +5,9 @@
 import { createClient } from '@supabase/supabase-js';
 import { createLogger } from './utils/logger.js';
 import { minutesAgo, secondsAgo } from './utils/time.js';
+import { computePriceMetrics } from './analytics/price.js';
+import { detectWashTrades } from './analytics/wash.js';
+import { swapVolumeUsd } from './pricing/sol_price.js';
 
 const log = createLogger('supabase');
 
@@ -53,6 +56,22 @@ export async function upsertToken(mint, data = {}) {
   return token;
 }
 
+/**
+ * Insert tokens that don't exist yet, leaving existing rows untouched
+ *
+ * @param {Object[]} rows - { mint, meta }
+ */
+export async function insertTokensIfMissing(rows) {
+  if (!rows || rows.length === 0) return;
+
+  const { error } = await supabase.from('tokens').upsert(rows, { onConflict: 'mint', ignoreDuplicates: true });
+
+  if (error) {
+    log.error('Failed to insert tokens', { count: rows.length, error: error.message });
+    throw error;
+  }
+}
+
 /**
  * Get token by mint address
  */
@@ -145,6 +164,183 @@ export async function getActiveTokens(limit = 100) {
   return data || [];
 }
 
+/**
+ * Set a token's creator unless one is already recorded
+ */
+export async function setTokenCreator(mint, creator) {
+  const { error } = await supabase
+    .from('tokens')
+    .update({ creator })
+    .eq('mint', mint)
+    .is('creator', null);
+
+  if (error) {
+    log.error('Failed to set token creator', { mint, creator, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Raise a token's peak score if the new score is higher
+ */
+export async function updateTokenPeakScore(mint, score) {
+  const { error } = await supabase
+    .from('tokens')
+    .update({ peak_score: score })
+    .eq('mint', mint)
+    .or(`peak_score.is.null,peak_score.lt.${score}`);
+
+  if (error) {
+    log.error('Failed to update token peak score', { mint, score, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Get status and first-seen time for a list of tokens
+ */
+export async function getTokensByMints(mints) {
+  if (mints.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('tokens')
+    .select('mint, status, first_seen_at')
+    .in('mint', mints);
+
+  if (error) {
+    log.error('Failed to get tokens by mints', { count: mints.length, error: error.message });
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Get tokens launched by a creator
+ */
+export async function getTokensByCreator(creator, limit = 500) {
+  const { data, error } = await supabase
+    .from('tokens')
+    .select('mint, status, first_seen_at, status_changed_at, peak_score')
+    .eq('creator', creator)
+    .order('first_seen_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    log.error('Failed to get tokens by creator', { creator, error: error.message });
+    throw error;
+  }
+
+  return data || [];
+}
+
+// ============================================
+// CREATORS
+// ============================================
+
+/**
+ * Upsert a creator's outcome stats
+ */
+export async function upsertCreator(wallet, data = {}) {
+  const { data: creator, error } = await supabase
+    .from('creators')
+    .upsert(
+      {
+        wallet,
+        ...data,
+      },
+      { onConflict: 'wallet', ignoreDuplicates: false }
+    )
+    .select()
+    .single();
+
+  if (error) {
+    log.error('Failed to upsert creator', { wallet, error: error.message });
+    throw error;
+  }
+
+  return creator;
+}
+
+/**
+ * Get creator by wallet address
+ */
+export async function getCreator(wallet) {
+  const { data, error } = await supabase
+    .from('creators')
+    .select('*')
+    .eq('wallet', wallet)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    log.error('Failed to get creator', { wallet, error: error.message });
+    throw error;
+  }
+
+  return data;
+}
+
+// ============================================
+// WALLET FUNDING
+// ============================================
+
+/**
+ * Get stored funding sources for a list of wallets
+ */
+export async function getWalletFunding(wallets) {
+  if (wallets.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('wallet_funding')
+    .select('wallet, funder, funded_at, amount_sol, signature, checked_at')
+    .in('wallet', wallets);
+
+  if (error) {
+    log.error('Failed to get wallet funding', { count: wallets.length, error: error.message });
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Store funding sources for wallets (funder may be null when none was found)
+ */
+export async function upsertWalletFunding(rows) {
+  if (rows.length === 0) return;
+
+  const { error } = await supabase.from('wallet_funding').upsert(
+    rows.map((row) => ({ ...row, checked_at: new Date().toISOString() })),
+    { onConflict: 'wallet', ignoreDuplicates: false }
+  );
+
+  if (error) {
+    log.error('Failed to upsert wallet funding', { count: rows.length, error: error.message });
+    throw error;
+  }
+}
+
+// ============================================
+// TRACKED WALLETS
+// ============================================
+
+/**
+ * Get active tracked (smart-money) wallets
+ */
+export async function getTrackedWallets() {
+  const { data, error } = await supabase
+    .from('tracked_wallets')
+    .select('wallet, label')
+    .eq('active', true);
+
+  if (error) {
+    log.error('Failed to get tracked wallets', { error: error.message });
+    throw error;
+  }
+
+  return data || [];
+}
+
 // ============================================
 // POOLS
 // ============================================
@@ -174,6 +370,59 @@ export async function upsertPool(tokenMint, poolAddress, data = {}) {
   return pool;
 }
 
+/**
+ * Insert a pool unless one with the same address already exists
+ */
+export async function insertPoolIfMissing(tokenMint, poolAddress, data = {}) {
+  const { error } = await supabase.from('pools').upsert(
+    {
+      token_mint: tokenMint,
+      pool_address: poolAddress,
+      ...data,
+    },
+    { onConflict: 'pool_address', ignoreDuplicates: true }
+  );
+
+  if (error) {
+    log.error('Failed to insert pool', { tokenMint, poolAddress, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Get pools by address
+ */
+export async function getPoolsByAddresses(addresses) {
+  if (addresses.length === 0) return [];
+
+  const { data, error } = await supabase.from('pools').select('*').in('pool_address', addresses);
+
+  if (error) {
+    log.error('Failed to get pools by addresses', { count: addresses.length, error: error.message });
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Update a pool's measured liquidity
+ */
+export async function updatePoolLiquidity(poolAddress, liquidityData) {
+  const { error } = await supabase
+    .from('pools')
+    .update({
+      ...liquidityData,
+      last_updated_at: new Date().toISOString(),
+    })
+    .eq('pool_address', poolAddress);
+
+  if (error) {
+    log.error('Failed to update pool liquidity', { poolAddress, error: error.message });
+    throw error;
+  }
+}
+
 /**
  * Get pools for a token
  */
@@ -197,14 +446,14 @@ export async function getPoolsForToken(tokenMint) {
 // ============================================
 
 /**
- * Insert a swap (ignore duplicates)
+ * Insert a swap (ignore duplicates; returns null if it was already stored)
  */
 export async function insertSwap(swapData) {
   const { data, error } = await supabase
     .from('swaps')
-    .upsert(swapData, { onConflict: 'signature', ignoreDuplicates: true })
+    .upsert(swapData, { onConflict: 'signature,token_mint', ignoreDuplicates: true })
     .select()
-    .single();
+    .maybeSingle();
 
   if (error && error.code !== '23505') {
     // 23505 = unique violation (duplicate)
@@ -215,19 +464,176 @@ export async function insertSwap(swapData) {
   return data;
 }
 
+/**
+ * Insert or rewrite swaps (keyed by signature and token mint)
+ * Used by replay to overwrite rows stored by an older parser.
+ */
+export async function upsertSwaps(rows) {
+  if (!rows || rows.length === 0) return;
+
+  const { error } = await supabase
+    .from('swaps')
+    .upsert(rows, { onConflict: 'signature,token_mint', ignoreDuplicates: false });
+
+  if (error) {
+    log.error('Failed to upsert swaps', { count: rows.length, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Delete swaps by ID
+ */
+export async function deleteSwaps(ids) {
+  if (!ids || ids.length === 0) return;
+
+  const { error } = await supabase.from('swaps').delete().in('id', ids);
+
+  if (error) {
+    log.error('Failed to delete swaps', { count: ids.length, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Get stored swaps for a set of transaction signatures
+ */
+export async function getSwapsBySignatures(signatures) {
+  if (signatures.length === 0) return [];
+
+  const { data, error } = await supabase.from('swaps').select('*').in('signature', signatures);
+
+  if (error) {
+    log.error('Failed to get swaps by signatures', { count: signatures.length, error: error.message });
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Get swaps with a quote amount but no USD value (or, for stablecoin legs, no SOL equivalent) yet
+ */
+export async function getSwapsMissingUsd(limit = 500, since = null, attemptedBefore = null) {
+  let query = supabase
+    .from('swaps')
+    .select('id, ts, quote_mint, quote_amount, amount_usd, amount_sol, amount_token, price_sol, meta')
+    .or('amount_usd.is.null,amount_sol.is.null')
+    .not('quote_amount', 'is', null)
+    .order('ts', { ascending: true })
+    .limit(limit);
+
+  if (since) {
+    query = query.gte('ts', since);
+  }
+
+  // Skip swaps a recent backfill already failed to price
+  if (attemptedBefore) {
+    query = query.or(`usd_attempted_at.is.null,usd_attempted_at.lt.${attemptedBefore}`);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    log.error('Failed to get swaps missing USD', { error: error.message });
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Set the USD value (and derived prices) of a stored swap
+ */
+export async function updateSwapUsd(id, pricing) {
+  const { error } = await supabase.from('swaps').update(pricing).eq('id', id);
+
+  if (error) {
+    log.error('Failed to update swap USD', { id, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Record that swaps could not be priced, so the backfill leaves them alone for a while
+ */
+export async function markSwapsUsdAttempted(ids) {
+  if (ids.length === 0) return;
+
+  const { error } = await supabase
+    .from('swaps')
+    .update({ usd_attempted_at: new Date().toISOString() })
+    .in('id', ids);
+
+  if (error) {
+    log.error('Failed to mark swaps USD attempted', { count: ids.length, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Get the earliest swaps for a token from launch onwards
+ */
+export async function getLaunchSwaps(tokenMint, since = null, limit = 200) {
+  let query = supabase
+    .from('swaps')
+    .select('ts, slot, side, buyer, amount_token')
+    .eq('token_mint', tokenMint)
+    .order('ts', { ascending: true })
+    .limit(limit);
+
+  if (since) {
+    query = query.gte('ts', since);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    log.error('Failed to get launch swaps', { tokenMint, error: error.message });
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Get a page of swaps since a given time, oldest first
+ */
+export async function getSwapsSince(since, offset = 0, limit = 1000) {
+  const { data, error } = await supabase
+    .from('swaps')
+    .select('token_mint, ts, side, buyer, seller, amount_sol, amount_token, price_sol')
+    .gte('ts', since)
+    .order('ts', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    log.error('Failed to get swaps since', { since, offset, error: error.message });
+    throw error;
+  }
+
+  return data || [];
+}
+
 /**
  * Get swap metrics for a token
+ * Returns raw figures plus "organic" ones with wash trades removed and buyers counted
+ * once per funding cluster
+ *
+ * @param {string} tokenMint
+ * @param {Object} options
+ * @param {Function} options.clusterWallets - async (wallets) => Map(wallet -> cluster id) (optional)
  */
-export async function getSwapMetrics(tokenMint) {
-  const now = new Date();
-  const oneMinAgo = minutesAgo(1);
-  const fiveMinAgo = minutesAgo(5);
+export async function getSwapMetrics(tokenMint, { clusterWallets } = {}) {
+  const nowMs = Date.now();
   const fifteenMinAgo = minutesAgo(15);
 
   // Get all swaps in the last 15 minutes
   const { data: swaps, error } = await supabase
     .from('swaps')
-    .select('ts, side, amount_usd, buyer, seller')
+    .select(
+      'ts, side, amount_usd, amount_token, quote_mint, quote_amount, price_sol, price_usd, buyer, seller, tracked_wallet:meta->>tracked_wallet'
+    )
     .eq('token_mint', tokenMint)
     .gte('ts', fifteenMinAgo)
     .order('ts', { ascending: false });
@@ -237,25 +643,58 @@ export async function getSwapMetrics(tokenMint) {
     throw error;
   }
 
-  if (!swaps || swaps.length === 0) {
-    return {
-      swaps_1m: 0,
-      swaps_5m: 0,
-      swaps_15m: 0,
-      unique_buyers_1m: 0,
-      unique_buyers_5m: 0,
-      unique_buyers_15m: 0,
-      unique_sellers_1m: 0,
-      unique_sellers_5m: 0,
-      volume_usd_1m: 0,
-      volume_usd_5m: 0,
-      volume_usd_15m: 0,
-      buy_volume_usd_1m: 0,
-      sell_volume_usd_1m: 0,
-    };
+  const allSwaps = swaps || [];
+  const priceMetrics = computePriceMetrics(allSwaps, nowMs);
+
+  let walletClusters = new Map();
+  if (clusterWallets && allSwaps.length > 0) {
+    try {
+      walletClusters = await clusterWallets(allSwaps.map((s) => s.buyer || s.seller));
+    } catch (err) {
+      log.warn('Failed to cluster wallets', { tokenMint, error: err.message });
+    }
+  }
+
+  const wash = detectWashTrades(allSwaps, { walletClusters });
+  const raw = aggregateSwapWindows(allSwaps, nowMs, walletClusters);
+  const organic = aggregateSwapWindows(allSwaps.filter((_, i) => !wash.isWash[i]), nowMs, walletClusters);
+
+  // Tracked (smart-money) wallets that bought in the last 5 minutes
+  const fiveMinTime = nowMs - 5 * 60 * 1000;
+  const smartBuyers = new Map();
+  for (const swap of allSwaps) {
+    if (swap.side === 'buy' && swap.buyer && swap.tracked_wallet && new Date(swap.ts).getTime() >= fiveMinTime) {
+      smartBuyers.set(swap.buyer, swap.tracked_wallet);
+    }
   }
 
-  // Calculate metrics for different time windows
+  return {
+    ...priceMetrics,
+    ...raw,
+    organic_swaps_1m: organic.swaps_1m,
+    organic_swaps_5m: organic.swaps_5m,
+    organic_unique_buyers_1m: organic.unique_buyer_clusters_1m,
+    organic_unique_buyers_5m: organic.unique_buyer_clusters_5m,
+    organic_volume_usd_1m: organic.volume_usd_1m,
+    organic_volume_usd_5m: organic.volume_usd_5m,
+    wash_volume_pct_5m:
+      raw.volume_usd_5m > 0 ? ((raw.volume_usd_5m - organic.volume_usd_5m) / raw.volume_usd_5m) * 100 : 0,
+    smart_buyers_5m: smartBuyers.size,
+    meta: {
+      wash: wash.stats,
+      smart_buyers: [...smartBuyers].map(([wallet, label]) => ({ wallet, label })),
+    },
+  };
+}
+
+/**
+ * Aggregate swap counts, unique wallets and volume over 1/5/15 minute windows
+ * Buyer clusters count wallets in the same walletClusters group once
+ */
+function aggregateSwapWindows(swaps, nowMs, walletClusters = new Map()) {
+  const oneMinTime = nowMs - 60 * 1000;
+  const fiveMinTime = nowMs - 5 * 60 * 1000;
+
   const metrics = {
     swaps_1m: 0,
     swaps_5m: 0,
@@ -263,6 +702,8 @@ export async function getSwapMetrics(tokenMint) {
     unique_buyers_1m: new Set(),
     unique_buyers_5m: new Set(),
     unique_buyers_15m: new Set(),
+    unique_buyer_clusters_1m: new Set(),
+    unique_buyer_clusters_5m: new Set(),
     unique_sellers_1m: new Set(),
     unique_sellers_5m: new Set(),
     volume_usd_1m: 0,
@@ -274,22 +715,21 @@ export async function getSwapMetrics(tokenMint) {
 
   for (const swap of swaps) {
     const swapTime = new Date(swap.ts).getTime();
-    const oneMinTime = new Date(oneMinAgo).getTime();
-    const fiveMinTime = new Date(fiveMinAgo).getTime();
-
-    const volume = parseFloat(swap.amount_usd) || 0;
+    const volume = swapVolumeUsd(swap);
+    const buyerCluster = swap.buyer ? walletClusters.get(swap.buyer) || swap.buyer : null;
 
     // 15 minute window
     metrics.swaps_15m++;
     metrics.volume_usd_15m += volume;
     if (swap.buyer) metrics.unique_buyers_15m.add(swap.buyer);
-    if (swap.seller) metrics.unique_sellers_5m.add(swap.seller);
 
     // 5 minute window
     if (swapTime >= fiveMinTime) {
       metrics.swaps_5m++;
       metrics.volume_usd_5m += volume;
       if (swap.buyer) metrics.unique_buyers_5m.add(swap.buyer);
+      if (buyerCluster) metrics.unique_buyer_clusters_5m.add(buyerCluster);
+      if (swap.seller) metrics.unique_sellers_5m.add(swap.seller);
     }
 
     // 1 minute window
@@ -297,6 +737,7 @@ export async function getSwapMetrics(tokenMint) {
       metrics.swaps_1m++;
       metrics.volume_usd_1m += volume;
       if (swap.buyer) metrics.unique_buyers_1m.add(swap.buyer);
+      if (buyerCluster) metrics.unique_buyer_clusters_1m.add(buyerCluster);
       if (swap.seller) metrics.unique_sellers_1m.add(swap.seller);
       if (swap.side === 'buy') {
         metrics.buy_volume_usd_1m += volume;
@@ -313,6 +754,8 @@ export async function getSwapMetrics(tokenMint) {
     unique_buyers_1m: metrics.unique_buyers_1m.size,
     unique_buyers_5m: metrics.unique_buyers_5m.size,
     unique_buyers_15m: metrics.unique_buyers_15m.size,
+    unique_buyer_clusters_1m: metrics.unique_buyer_clusters_1m.size,
+    unique_buyer_clusters_5m: metrics.unique_buyer_clusters_5m.size,
     unique_sellers_1m: metrics.unique_sellers_1m.size,
     unique_sellers_5m: metrics.unique_sellers_5m.size,
     volume_usd_1m: metrics.volume_usd_1m,
@@ -401,6 +844,25 @@ export async function getLatestTokenMetrics(tokenMint) {
   return data;
 }
 
+/**
+ * Get the latest SOL price for a list of tokens
+ */
+export async function getLatestTokenPrices(mints) {
+  if (mints.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('latest_token_metrics')
+    .select('token_mint, price_sol')
+    .in('token_mint', mints);
+
+  if (error) {
+    log.error('Failed to get latest token prices', { count: mints.length, error: error.message });
+    throw error;
+  }
+
+  return data || [];
+}
+
 // ============================================
 // SCORES
 // ============================================
@@ -534,28 +996,132 @@ export async function updateAlert(tokenMint, updateData) {
   }
 }
 
+// ============================================
+// WALLET STATS
+// ============================================
+
+/**
+ * Upsert computed wallet performance stats
+ */
+export async function upsertWalletStats(rows) {
+  if (rows.length === 0) return;
+
+  const { error } = await supabase.from('wallet_stats').upsert(rows, { onConflict: 'wallet', ignoreDuplicates: false });
+
+  if (error) {
+    log.error('Failed to upsert wallet stats', { count: rows.length, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Delete wallet stats not recomputed since a given time (wallets that left the lookback window
+ * or fell below the minimum tokens traded)
+ */
+export async function deleteWalletStatsBefore(computedAt) {
+  const { error } = await supabase.from('wallet_stats').delete().lt('computed_at', computedAt);
+
+  if (error) {
+    log.error('Failed to delete stale wallet stats', { computedAt, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Get the top of the wallet leaderboard
+ */
+export async function getWalletLeaderboard(limit = 10) {
+  const { data, error } = await supabase
+    .from('wallet_leaderboard')
+    .select('*')
+    .order('rank', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    log.error('Failed to get wallet leaderboard', { error: error.message });
+    throw error;
+  }
+
+  return data || [];
+}
+
 // ============================================
 // RAW EVENTS
 // ============================================
 
 /**
- * Store raw webhook event
+ * Queue raw webhook events (one per transaction)
+ * Throws so the webhook is not acknowledged unless the events are stored.
+ *
+ * @param {Object[]} events - { event_type, signature, payload }
+ */
+export async function insertRawEvents(events) {
+  if (!events || events.length === 0) return;
+
+  const { error } = await supabase.from('raw_events').insert(events);
+
+  if (error) {
+    log.error('Failed to store raw events', { count: events.length, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Get a page of raw events received in a time range, oldest first (quarantined ones excluded)
+ *
+ * @param {Object} filter
+ * @param {string} filter.since - ISO timestamp (inclusive)
+ * @param {string} filter.until - ISO timestamp (exclusive, optional)
+ * @param {string} filter.eventType - Only events of this type (optional)
  */
-export async function storeRawEvent(eventType, signature, payload) {
-  const { error } = await supabase.from('raw_events').insert({
-    event_type: eventType,
-    signature,
-    payload,
+export async function getRawEventsPage({ since, until = null, eventType = null }, offset = 0, limit = 500) {
+  let query = supabase
+    .from('raw_events')
+    .select('id, event_type, signature, payload, created_at')
+    .eq('quarantined', false)
+    .gte('created_at', since)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (until) {
+    query = query.lt('created_at', until);
+  }
+  if (eventType) {
+    query = query.eq('event_type', eventType);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    log.error('Failed to get raw events', { since, until, eventType, offset, error: error.message });
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Claim due unprocessed raw events, leasing them for lockSeconds
+ * Each claim counts as an attempt.
+ */
+export async function claimRawEvents(batchSize = 50, lockSeconds = 120) {
+  const { data, error } = await supabase.rpc('claim_raw_events', {
+    batch_size: batchSize,
+    lock_seconds: lockSeconds,
   });
 
   if (error) {
-    log.error('Failed to store raw event', { eventType, error: error.message });
-    // Don't throw - this is non-critical
+    log.error('Failed to claim raw events', { error: error.message });
+    throw error;
   }
+
+  return data || [];
 }
 
 /**
  * Mark raw event as processed
+ * An error marks it as given up on (dead-lettered) rather than successful.
  */
 export async function markEventProcessed(id, error = null) {
   const { error: updateError } = await supabase
@@ -564,11 +1130,54 @@ export async function markEventProcessed(id, error = null) {
       processed: true,
       processed_at: new Date().toISOString(),
       error: error ? String(error) : null,
+      locked_until: null,
     })
     .eq('id', id);
 
   if (updateError) {
     log.error('Failed to mark event processed', { id, error: updateError.message });
+    throw updateError;
+  }
+}
+
+/**
+ * Mark several raw events as successfully processed
+ */
+export async function markEventsProcessed(ids) {
+  if (!ids || ids.length === 0) return;
+
+  const { error } = await supabase
+    .from('raw_events')
+    .update({
+      processed: true,
+      processed_at: new Date().toISOString(),
+      error: null,
+      locked_until: null,
+    })
+    .in('id', ids);
+
+  if (error) {
+    log.error('Failed to mark events processed', { count: ids.length, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Release a failed raw event for another attempt at nextAttemptAt
+ */
+export async function scheduleEventRetry(id, error, nextAttemptAt) {
+  const { error: updateError } = await supabase
+    .from('raw_events')
+    .update({
+      error: String(error),
+      next_attempt_at: nextAttemptAt,
+      locked_until: null,
+    })
+    .eq('id', id);
+
+  if (updateError) {
+    log.error('Failed to schedule event retry', { id, error: updateError.message });
+    throw updateError;
   }
 }
 
@@ -6,12 +6,15 @@ import TelegramBot from 'node-telegram-bot-api';
 import { createLogger } from '../utils/logger.js';
 import {
   getToken,
+  upsertToken,
   updateTokenStatus,
   getLatestScore,
   getLatestTokenMetrics,
   getLatestHolderSnapshot,
   getPoolsForToken,
+  getCreator,
   getTopScoredTokens,
+  getWalletLeaderboard,
   getOrCreateAlert,
   updateAlert,
   getTokensToEnrich,
@@ -21,10 +24,15 @@ import {
   formatUpdateAlert,
   formatTokenStatus,
   formatTopTokens,
+  formatWalletLeaderboard,
   formatError,
   formatSuccess,
 } from './format.js';
 import { score } from '../scoring/score.js';
+import { pickDeepestPool } from '../pools/liquidity.js';
+import { refreshCreatorStats } from '../creators/reputation.js';
+import { queueHistoryBackfill } from '../history/backfill.js';
+import { fetchAccountInfo, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } from '../helius.js';
 
 const log = createLogger('telegram');
 
@@ -85,7 +93,9 @@ I monitor new token launches and alert you when promising opportunities arise.
 • /status <mint> - Get token status
 • /ignore <mint> - Ignore a token
 • /watch <mint> - Watch a token
+• /rug <mint> - Mark a token as rugged
 • /top - Top scored tokens (30m)
+• /wallets - Wallet PnL leaderboard
 • /help - Show this message
 
 _Alerts are sent automatically when tokens score >= 70_
@@ -105,11 +115,17 @@ Get detailed status for a token including score, metrics, and risk flags.
 Stop tracking a token. It won't be enriched or scored anymore.
 
 */watch <mint>*
-Start tracking a token again. Forces immediate enrichment.
+Start tracking a token (again) and backfill its swaps and pools from chain. Forces immediate enrichment.
+
+*/rug <mint>*
+Mark a token as a scam. Counts against its creator's reputation.
 
 */top*
 List the top 5 scored tokens in the last 30 minutes.
 
+*/wallets*
+List the top 10 wallets by PnL from stored swaps.
+
 *Score Thresholds:*
 • >= 70: Alert sent (no hard risk flags)
 • >= 80: Alert sent (even with flags)
@@ -135,22 +151,23 @@ List the top 5 scored tokens in the last 30 minutes.
         return;
       }
 
-      const [scoreData, metrics, holders, pools] = await Promise.all([
+      const [scoreData, metrics, holders, pools, creator] = await Promise.all([
         getLatestScore(mint),
         getLatestTokenMetrics(mint),
         getLatestHolderSnapshot(mint),
         getPoolsForToken(mint),
+        token.creator ? getCreator(token.creator) : null,
       ]);
 
-      const pool = pools?.[0];
+      const pool = pickDeepestPool(pools);
 
       // Compute current score if no stored score
       let scoreResult = scoreData;
       if (!scoreResult) {
-        scoreResult = score({ token, metrics, holders, pool });
+        scoreResult = score({ token, metrics, holders, pool, creator });
       }
 
-      const message = formatTokenStatus(token, scoreResult, metrics, holders, pool);
+      const message = formatTokenStatus(token, scoreResult, metrics, holders, pool, creator);
       await sendMessage(msg.chat.id, message);
     } catch (err) {
       log.error('Error handling /status command', { mint, error: err.message });
@@ -184,6 +201,35 @@ List the top 5 scored tokens in the last 30 minutes.
     }
   });
 
+  // /rug <mint> command
+  bot.onText(/\/rug(?:\s+(.+))?/, async (msg, match) => {
+    const mint = match[1]?.trim();
+
+    if (!mint) {
+      await sendMessage(msg.chat.id, formatError('Please provide a mint address: /rug <mint>'));
+      return;
+    }
+
+    try {
+      const token = await getToken(mint);
+
+      if (!token) {
+        await sendMessage(msg.chat.id, formatError(`Token not found: ${mint}`));
+        return;
+      }
+
+      await updateTokenStatus(mint, 'scam');
+      if (token.creator) {
+        await refreshCreatorStats(token.creator);
+      }
+      await sendMessage(msg.chat.id, formatSuccess(`Token ${mint} is marked as rugged.`));
+      log.info('Token marked as rugged via command', { mint, creator: token.creator });
+    } catch (err) {
+      log.error('Error handling /rug command', { mint, error: err.message });
+      await sendMessage(msg.chat.id, formatError(`Failed to mark as rugged: ${err.message}`));
+    }
+  });
+
   // /watch <mint> command
   bot.onText(/\/watch(?:\s+(.+))?/, async (msg, match) => {
     const mint = match[1]?.trim();
@@ -194,20 +240,29 @@ List the top 5 scored tokens in the last 30 minutes.
     }
 
     try {
-      let token = await getToken(mint);
+      const token = await getToken(mint);
 
       if (!token) {
-        await sendMessage(
-          msg.chat.id,
-          formatError(`Token not found. It will be tracked when first activity is detected.`)
-        );
-        return;
+        // Not seen by the webhook yet: start tracking it if it really is a token mint
+        // (82-byte SPL mint, or a Token-2022 mint whose account type byte is 1)
+        const account = await fetchAccountInfo(mint);
+        const isMint =
+          (account?.owner === TOKEN_PROGRAM_ID || account?.owner === TOKEN_2022_PROGRAM_ID) &&
+          (account.data.length === 82 || account.data[165] === 1);
+        if (!isMint) {
+          await sendMessage(msg.chat.id, formatError(`${mint} is not a token mint.`));
+          return;
+        }
+        await upsertToken(mint, {
+          meta: { source: 'watch', discovered_at: new Date().toISOString() },
+        });
       }
 
       await updateTokenStatus(mint, 'active');
+      queueHistoryBackfill(mint);
       await sendMessage(
         msg.chat.id,
-        formatSuccess(`Token ${mint} is now being watched. Will enrich on next cycle.`)
+        formatSuccess(`Token ${mint} is now being watched. Backfilling its history; will enrich on next cycle.`)
       );
       log.info('Token watched via command', { mint });
     } catch (err) {
@@ -228,6 +283,18 @@ List the top 5 scored tokens in the last 30 minutes.
     }
   });
 
+  // /wallets command
+  bot.onText(/\/wallets/, async (msg) => {
+    try {
+      const leaderboard = await getWalletLeaderboard(10);
+      const message = formatWalletLeaderboard(leaderboard);
+      await sendMessage(msg.chat.id, message);
+    } catch (err) {
+      log.error('Error handling /wallets command', { error: err.message });
+      await sendMessage(msg.chat.id, formatError(`Failed to get wallet leaderboard: ${err.message}`));
+    }
+  });
+
   log.info('Bot commands registered');
 }
 
@@ -51,16 +51,42 @@ function formatRiskFlag(flag) {
     MINT_AUTHORITY_RISK: '🔴 Mint Authority Present',
     FREEZE_AUTHORITY_RISK: '🔴 Freeze Authority Present',
     FULL_AUTHORITY_RISK: '🔴 Full Authority Risk',
+    PERMANENT_DELEGATE_RISK: '🔴 Permanent Delegate',
+    TRANSFER_HOOK_RISK: '🔴 Transfer Hook',
+    NON_TRANSFERABLE_RISK: '🔴 Non-Transferable Token',
+    DEFAULT_FROZEN_RISK: '🔴 Accounts Frozen by Default',
+    TRANSFER_FEE_RISK: '⚠️ Transfer Fee',
+    MINT_CLOSE_AUTHORITY_RISK: '⚠️ Mint Close Authority',
+    LP_NOT_LOCKED: '🔓 LP Not Burned/Locked',
+    SERIAL_RUGGER: '🔴 Serial Rugger Creator',
+    CREATOR_RUG_HISTORY: '⚠️ Creator Has Rugged Before',
     LOW_LIQUIDITY_WARNING: '⚠️ Low Liquidity',
     VERY_NEW_TOKEN: '⚠️ Very New Token',
     LOW_HOLDER_COUNT: '⚠️ Low Holder Count',
     NO_RECENT_VOLUME: '⚠️ No Recent Volume',
     WHALE_CONCENTRATION: '🐋 Whale Concentration',
     RAPID_PRICE_DROP: '📉 Rapid Price Drop',
+    SNIPER_HEAVY: '🎯 Sniper-Heavy Launch',
   };
   return flagMap[flag] || flag;
 }
 
+/**
+ * Describe where a Pump.fun token is on its bonding curve, or null for other tokens
+ */
+function formatBondingCurve(token) {
+  if (token?.graduated_at) {
+    return `🎓 Graduated ${formatRelative(token.graduated_at)}`;
+  }
+  if (token?.curve_complete) {
+    return '🎓 Curve complete, migration pending';
+  }
+  if (token?.curve_progress_pct != null) {
+    return `📈 Bonding curve ${formatPct(parseFloat(token.curve_progress_pct))} to graduation`;
+  }
+  return null;
+}
+
 /**
  * Format a new token alert message
  */
@@ -91,6 +117,23 @@ export function formatNewTokenAlert(token, scoreResult, metrics, holders) {
     `• Top 10%: ${formatPct(holders?.top10_pct)}`,
   ];
 
+  const curveLine = formatBondingCurve(token);
+  if (curveLine) {
+    lines.push('');
+    lines.push('🧪 *Pump.fun:*');
+    lines.push(`• ${curveLine}`);
+  }
+
+  // Tracked smart-money wallets that bought
+  const smartBuyers = metrics?.meta?.smart_buyers || [];
+  if (smartBuyers.length > 0) {
+    lines.push('');
+    lines.push('🧠 *Smart Buyers (5m):*');
+    for (const buyer of smartBuyers) {
+      lines.push(`• ${escapeMarkdown(buyer.label)} (\`${buyer.wallet.slice(0, 4)}…${buyer.wallet.slice(-4)}\`)`);
+    }
+  }
+
   // Add risk flags if present
   if (risk_flags && risk_flags.length > 0) {
     lines.push('');
@@ -141,6 +184,11 @@ export function formatUpdateAlert(token, scoreResult, previousScore, metrics, ho
     `• Liquidity: ${formatUsd(metrics?.liquidity_usd)}`,
   ];
 
+  const curveLine = formatBondingCurve(token);
+  if (curveLine) {
+    lines.push(`• ${curveLine}`);
+  }
+
   // Add risk flags if present
   if (risk_flags && risk_flags.length > 0) {
     lines.push('');
@@ -159,7 +207,7 @@ export function formatUpdateAlert(token, scoreResult, previousScore, metrics, ho
 /**
  * Format token status response
  */
-export function formatTokenStatus(token, scoreResult, metrics, holders, pool) {
+export function formatTokenStatus(token, scoreResult, metrics, holders, pool, creator) {
   const { score, reasons, risk_flags } = scoreResult || { score: 0, reasons: [], risk_flags: [] };
   const scoreLabel = getScoreLabel(score);
   const emoji = getScoreEmoji(score);
@@ -176,16 +224,26 @@ export function formatTokenStatus(token, scoreResult, metrics, holders, pool) {
     '',
     '📊 *Metrics:*',
     `• Swaps 1m/5m: ${metrics?.swaps_1m || 0}/${metrics?.swaps_5m || 0}`,
-    `• Buyers 1m/5m: ${metrics?.unique_buyers_1m || 0}/${metrics?.unique_buyers_5m || 0}`,
+    `• Buyers 1m/5m: ${metrics?.unique_buyers_1m || 0}/${metrics?.unique_buyers_5m || 0} (clusters ${metrics?.unique_buyer_clusters_1m ?? 'N/A'}/${metrics?.unique_buyer_clusters_5m ?? 'N/A'})`,
     `• Volume 1m/5m: ${formatUsd(metrics?.volume_usd_1m)}/${formatUsd(metrics?.volume_usd_5m)}`,
+    `• Organic Buyers 1m/5m: ${metrics?.organic_unique_buyers_1m ?? 'N/A'}/${metrics?.organic_unique_buyers_5m ?? 'N/A'} (wash ${formatPct(metrics?.wash_volume_pct_5m)} of 5m volume)`,
+    `• Price Δ 1m/5m/15m: ${formatPct(metrics?.price_change_1m)}/${formatPct(metrics?.price_change_5m)}/${formatPct(metrics?.price_change_15m)}`,
     '',
     '💰 *Liquidity:*',
     `• USD: ${formatUsd(metrics?.liquidity_usd || pool?.liquidity_usd)}`,
     `• SOL: ${metrics?.liquidity_sol || pool?.liquidity_sol || 'N/A'}`,
   ];
 
+  const curveLine = formatBondingCurve(token);
+  if (curveLine) {
+    lines.push(`• ${curveLine}`);
+  }
+
   if (pool) {
     lines.push(`• DEX: ${pool.dex || 'Unknown'}`);
+    if (pool.lp_checked_at) {
+      lines.push(`• LP Burned/Locked: ${formatPct(pool.lp_burned_pct)}/${formatPct(pool.lp_locked_pct)}`);
+    }
   }
 
   lines.push('');
@@ -194,12 +252,55 @@ export function formatTokenStatus(token, scoreResult, metrics, holders, pool) {
   lines.push(`• Top 1%: ${formatPct(holders?.top1_pct)}`);
   lines.push(`• Top 10%: ${formatPct(holders?.top10_pct)}`);
 
+  const snipers = metrics?.meta?.snipers;
+  if (snipers) {
+    lines.push(`• Snipers: ${snipers.sniper_wallets} wallets, ${formatPct(snipers.sniper_supply_pct)} of supply`);
+    if (snipers.bundled_slots > 0) {
+      lines.push(`• Bundled Buys: ${snipers.bundled_wallets} wallets in ${snipers.bundled_slots} slot(s)`);
+    }
+  }
+
   // Authorities
   lines.push('');
   lines.push('🔐 *Authorities:*');
   lines.push(`• Mint: ${token.mint_authority ? '⚠️ Present' : '✅ Revoked'}`);
   lines.push(`• Freeze: ${token.freeze_authority ? '⚠️ Present' : '✅ Revoked'}`);
 
+  // Creator
+  if (token.creator) {
+    lines.push('');
+    lines.push('👤 *Creator:*');
+    lines.push(`• Wallet: \`${token.creator}\``);
+    if (creator) {
+      const rugged = (creator.dead_count || 0) + (creator.scam_count || 0);
+      lines.push(`• Launches: ${creator.token_count || 0} (${rugged} dead/scam)`);
+      if (creator.peak_score != null) {
+        lines.push(`• Best Score: ${creator.peak_score}`);
+      }
+    }
+  }
+
+  // Token-2022 extensions
+  const extensions = token.token_extensions;
+  if (extensions) {
+    lines.push('');
+    lines.push('🧩 *Token-2022 Extensions:*');
+    lines.push(`• Permanent Delegate: ${extensions.permanent_delegate ? '⚠️ Present' : '✅ None'}`);
+    lines.push(`• Transfer Hook: ${extensions.transfer_hook?.program_id ? '⚠️ Present' : '✅ None'}`);
+    if (extensions.transfer_fee) {
+      lines.push(`• Transfer Fee: ${formatPct(extensions.transfer_fee.basis_points / 100)}`);
+    }
+    if (extensions.non_transferable) {
+      lines.push('• ⚠️ Non-Transferable');
+    }
+    if (extensions.default_account_state === 'frozen') {
+      lines.push('• ⚠️ Accounts Frozen by Default');
+    }
+    if (extensions.mint_close_authority) {
+      lines.push('• ⚠️ Mint Close Authority');
+    }
+  }
+
   // Risk flags
   if (risk_flags && risk_flags.length > 0) {
     lines.push('');
@@ -257,6 +358,32 @@ export function formatTopTokens(tokens) {
   return lines.join('\n');
 }
 
+/**
+ * Format wallet PnL leaderboard
+ */
+export function formatWalletLeaderboard(entries) {
+  if (!entries || entries.length === 0) {
+    return '🏆 *Wallet Leaderboard*\n\nNo wallet stats computed yet.';
+  }
+
+  const lines = ['🏆 *Wallet Leaderboard*', ''];
+
+  for (const entry of entries) {
+    const label = entry.tracked_label ? ` (${escapeMarkdown(entry.tracked_label)})` : '';
+    const pnl = parseFloat(entry.total_pnl_sol) || 0;
+    lines.push(`${entry.rank}. \`${entry.wallet}\`${label}`);
+    lines.push(
+      `   ${pnl >= 0 ? '+' : ''}${formatNumber(pnl)} SOL • Win ${formatPct((parseFloat(entry.win_rate) || 0) * 100)} • ${entry.tokens_traded} tokens`
+    );
+    if (entry.avg_entry_minutes != null) {
+      lines.push(`   Avg entry: ${formatNumber(parseFloat(entry.avg_entry_minutes))}m after launch`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
 /**
  * Format error message
  */
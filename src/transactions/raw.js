@@ -0,0 +1,249 @@
+/**
+ * Raw transaction normalization
+ * Converts raw / jsonParsed RPC transactions (raw webhooks, getTransaction) into the
+ * enhanced-transaction shape the parser works on
+ */
+
+import { decodeBase58 } from '../utils/base58.js';
+import { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, SYSTEM_PROGRAM_ID } from '../helius.js';
+
+// SPL Token instructions that move tokens: tag -> source / destination / mint account positions
+// (null where the instruction has no such account); the amount is the u64 after the tag
+const TOKEN_MOVES = {
+  3: { name: 'transfer', source: 0, destination: 1, mint: null },
+  7: { name: 'mintTo', source: null, destination: 1, mint: 0 },
+  8: { name: 'burn', source: 0, destination: null, mint: 1 },
+  12: { name: 'transferChecked', source: 0, destination: 2, mint: 1 },
+  14: { name: 'mintToChecked', source: null, destination: 1, mint: 0 },
+  15: { name: 'burnChecked', source: 0, destination: null, mint: 1 },
+};
+
+// System Program transfer instruction (u32 tag)
+const SYSTEM_TRANSFER_TAG = 2;
+
+/**
+ * Whether a webhook transaction is a raw / jsonParsed RPC transaction rather than an enhanced one
+ */
+export function isRawTransaction(tx) {
+  return !!(tx?.transaction?.message && tx.meta);
+}
+
+/**
+ * Normalize a raw / jsonParsed transaction to the enhanced shape
+ * Token and native transfers come from the token / system instructions (including CPIs),
+ * and accountData from the pre/post lamport and token balances.
+ *
+ * @param {Object} raw - { slot, blockTime, meta, transaction: { signatures, message } }
+ * @returns {Object} { signature, slot, timestamp, fee, feePayer, transactionError, instructions,
+ *   tokenTransfers, nativeTransfers, accountData }
+ */
+export function normalizeRawTransaction(raw) {
+  const { meta, transaction } = raw;
+  const accountKeys = resolveAccountKeys(transaction.message, meta);
+  const tokenAccounts = tokenAccountsFromBalances(meta, accountKeys);
+
+  const instructions = (transaction.message.instructions || []).map((ix) => normalizeInstruction(ix, accountKeys));
+  for (const group of meta.innerInstructions || []) {
+    const parent = instructions[group.index];
+    if (parent) {
+      parent.innerInstructions = (group.instructions || []).map((ix) => normalizeInstruction(ix, accountKeys));
+    }
+  }
+
+  const executed = instructions.flatMap((ix) => [ix, ...ix.innerInstructions]);
+
+  return {
+    signature: transaction.signatures?.[0] || null,
+    slot: raw.slot ?? null,
+    timestamp: raw.blockTime ?? null,
+    fee: meta.fee || 0,
+    feePayer: accountKeys[0] || null,
+    transactionError: meta.err || null,
+    instructions,
+    tokenTransfers: executed.map((ix) => tokenTransfer(ix, tokenAccounts)).filter(Boolean),
+    nativeTransfers: executed.map((ix) => nativeTransfer(ix)).filter(Boolean),
+    accountData: accountData(meta, accountKeys, tokenAccounts),
+  };
+}
+
+// ============================================
+// ACCOUNTS & INSTRUCTIONS
+// ============================================
+
+/**
+ * All account keys in index order
+ * jsonParsed messages already list lookup-table addresses; raw ones need meta.loadedAddresses appended.
+ */
+function resolveAccountKeys(message, meta) {
+  const keys = (message.accountKeys || []).map((key) => (typeof key === 'string' ? key : key.pubkey));
+  if (typeof message.accountKeys?.[0] === 'string') {
+    keys.push(...(meta.loadedAddresses?.writable || []), ...(meta.loadedAddresses?.readonly || []));
+  }
+  return keys;
+}
+
+/**
+ * Instruction with a program ID and account addresses instead of indexes
+ * jsonParsed instructions the RPC understood keep their `parsed` form and have no data.
+ */
+function normalizeInstruction(ix, accountKeys) {
+  const programId = ix.programId ?? accountKeys[ix.programIdIndex];
+  const accounts = (ix.accounts || []).map((account) =>
+    typeof account === 'number' ? accountKeys[account] : account
+  );
+
+  return {
+    programId,
+    accounts,
+    data: ix.data ?? null,
+    parsed: ix.parsed ?? null,
+    innerInstructions: [],
+  };
+}
+
+/**
+ * Map of token account -> { mint, owner, decimals } from the pre/post token balances
+ */
+function tokenAccountsFromBalances(meta, accountKeys) {
+  const accounts = new Map();
+  for (const balance of [...(meta.preTokenBalances || []), ...(meta.postTokenBalances || [])]) {
+    const address = accountKeys[balance.accountIndex];
+    if (!address) continue;
+    accounts.set(address, {
+      mint: balance.mint,
+      owner: balance.owner ?? accounts.get(address)?.owner ?? null,
+      decimals: balance.uiTokenAmount?.decimals ?? 0,
+    });
+  }
+  return accounts;
+}
+
+// ============================================
+// TRANSFERS
+// ============================================
+
+/**
+ * Token movement made by an SPL Token instruction, in Helius tokenTransfers shape, or null
+ */
+function tokenTransfer(ix, tokenAccounts) {
+  if (ix.programId !== TOKEN_PROGRAM_ID && ix.programId !== TOKEN_2022_PROGRAM_ID) return null;
+
+  const move = ix.parsed ? parsedTokenMove(ix.parsed) : decodedTokenMove(ix);
+  if (!move) return null;
+
+  const source = move.source ? tokenAccounts.get(move.source) : null;
+  const destination = move.destination ? tokenAccounts.get(move.destination) : null;
+  const mint = move.mint || source?.mint || destination?.mint;
+  const decimals = move.decimals ?? source?.decimals ?? destination?.decimals;
+  if (!mint || decimals === undefined) return null;
+
+  return {
+    fromTokenAccount: move.source || '',
+    toTokenAccount: move.destination || '',
+    fromUserAccount: source?.owner || '',
+    toUserAccount: destination?.owner || '',
+    tokenAmount: Number(move.amount) / Math.pow(10, decimals),
+    mint,
+  };
+}
+
+/**
+ * Token movement from a jsonParsed spl-token instruction
+ */
+function parsedTokenMove(parsed) {
+  const info = parsed.info || {};
+  const amount = info.amount ?? info.tokenAmount?.amount;
+  if (amount === undefined) return null;
+
+  const move = { mint: info.mint, amount, decimals: info.tokenAmount?.decimals };
+  switch (parsed.type) {
+    case 'transfer':
+    case 'transferChecked':
+      return { ...move, source: info.source, destination: info.destination };
+    case 'mintTo':
+    case 'mintToChecked':
+      return { ...move, source: null, destination: info.account };
+    case 'burn':
+    case 'burnChecked':
+      return { ...move, source: info.account, destination: null };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Token movement decoded from a raw SPL Token instruction
+ */
+function decodedTokenMove(ix) {
+  const data = ix.data ? decodeBase58(ix.data) : null;
+  const layout = data ? TOKEN_MOVES[data[0]] : null;
+  if (!layout || data.length < 9) return null;
+
+  const account = (position) => (position === null ? null : ix.accounts[position] || null);
+  const checked = layout.name.endsWith('Checked');
+
+  return {
+    source: account(layout.source),
+    destination: account(layout.destination),
+    mint: account(layout.mint),
+    amount: data.readBigUInt64LE(1).toString(),
+    decimals: checked && data.length >= 10 ? data[9] : undefined,
+  };
+}
+
+/**
+ * SOL moved by a System Program transfer, in Helius nativeTransfers shape, or null
+ */
+function nativeTransfer(ix) {
+  if (ix.programId !== SYSTEM_PROGRAM_ID) return null;
+
+  if (ix.parsed) {
+    if (ix.parsed.type !== 'transfer') return null;
+    const info = ix.parsed.info || {};
+    return { fromUserAccount: info.source, toUserAccount: info.destination, amount: Number(info.lamports) || 0 };
+  }
+
+  const data = ix.data ? decodeBase58(ix.data) : null;
+  if (!data || data.length < 12 || data.readUInt32LE(0) !== SYSTEM_TRANSFER_TAG) return null;
+
+  return {
+    fromUserAccount: ix.accounts[0],
+    toUserAccount: ix.accounts[1],
+    amount: Number(data.readBigUInt64LE(4)),
+  };
+}
+
+// ============================================
+// BALANCES
+// ============================================
+
+/**
+ * Per-account lamport and token balance changes, in Helius accountData shape
+ * Token accounts closed in the transaction only have a pre balance; their post balance is zero.
+ */
+function accountData(meta, accountKeys, tokenAccounts) {
+  const pre = new Map((meta.preTokenBalances || []).map((b) => [b.accountIndex, b.uiTokenAmount?.amount || '0']));
+  const post = new Map((meta.postTokenBalances || []).map((b) => [b.accountIndex, b.uiTokenAmount?.amount || '0']));
+
+  return accountKeys.map((account, index) => {
+    const tokenBalanceChanges = [];
+    if (pre.has(index) || post.has(index)) {
+      const delta = BigInt(post.get(index) || '0') - BigInt(pre.get(index) || '0');
+      const info = tokenAccounts.get(account);
+      if (delta !== 0n && info) {
+        tokenBalanceChanges.push({
+          userAccount: info.owner,
+          tokenAccount: account,
+          mint: info.mint,
+          rawTokenAmount: { tokenAmount: delta.toString(), decimals: info.decimals },
+        });
+      }
+    }
+
+    return {
+      account,
+      nativeBalanceChange: (meta.postBalances?.[index] ?? 0) - (meta.preBalances?.[index] ?? 0),
+      tokenBalanceChanges,
+    };
+  });
+}
@@ -0,0 +1,213 @@
+/**
+ * Webhook payload schemas
+ * zod schemas for Helius enhanced and raw / jsonParsed transactions, checked before a
+ * transaction is queued. Only the fields the parser reads are described; everything else
+ * passes through untouched.
+ */
+
+import { z } from 'zod';
+import { isRawTransaction } from './raw.js';
+
+// Issues listed in a rejection message; the rest are counted
+const MAX_ISSUES_IN_ERROR = 5;
+
+// ============================================
+// ENHANCED TRANSACTIONS
+// ============================================
+
+const enhancedInstruction = z
+  .object({
+    programId: z.string(),
+    accounts: z.array(z.string()).optional(),
+    data: z.string().nullish(),
+    innerInstructions: z.array(z.lazy(() => enhancedInstruction)).optional(),
+  })
+  .passthrough();
+
+const tokenTransfer = z
+  .object({
+    mint: z.string().min(1),
+    tokenAmount: z.number(),
+    fromUserAccount: z.string().nullish(),
+    toUserAccount: z.string().nullish(),
+    fromTokenAccount: z.string().nullish(),
+    toTokenAccount: z.string().nullish(),
+  })
+  .passthrough();
+
+const nativeTransfer = z
+  .object({
+    fromUserAccount: z.string().nullish(),
+    toUserAccount: z.string().nullish(),
+    amount: z.number(),
+  })
+  .passthrough();
+
+const accountData = z
+  .object({
+    account: z.string(),
+    nativeBalanceChange: z.number().optional(),
+    tokenBalanceChanges: z
+      .array(
+        z
+          .object({
+            mint: z.string(),
+            userAccount: z.string().nullish(),
+            rawTokenAmount: z.object({ tokenAmount: z.string(), decimals: z.number().int() }).passthrough(),
+          })
+          .passthrough()
+      )
+      .optional(),
+  })
+  .passthrough();
+
+export const enhancedTransactionSchema = z
+  .object({
+    signature: z.string().min(1),
+    timestamp: z.number().nullish(),
+    slot: z.number().int().nullish(),
+    type: z.string().nullish(),
+    source: z.string().nullish(),
+    feePayer: z.string().min(1),
+    transactionError: z.unknown().optional(),
+    instructions: z.array(enhancedInstruction).optional(),
+    tokenTransfers: z.array(tokenTransfer).nullish(),
+    nativeTransfers: z.array(nativeTransfer).nullish(),
+    accountData: z.array(accountData).nullish(),
+  })
+  .passthrough();
+
+// ============================================
+// RAW / JSONPARSED TRANSACTIONS
+// ============================================
+
+// Raw instructions index into the account keys; jsonParsed ones name their program
+const rawInstruction = z
+  .object({
+    programIdIndex: z.number().int().nonnegative().optional(),
+    programId: z.string().optional(),
+    accounts: z.array(z.union([z.number().int().nonnegative(), z.string()])).optional(),
+    data: z.string().optional(),
+    parsed: z.unknown().optional(),
+  })
+  .passthrough()
+  .refine((ix) => ix.programId !== undefined || ix.programIdIndex !== undefined, {
+    message: 'Instruction has neither programId nor programIdIndex',
+  });
+
+const tokenBalance = z
+  .object({
+    accountIndex: z.number().int().nonnegative(),
+    mint: z.string(),
+    owner: z.string().optional(),
+    uiTokenAmount: z.object({ amount: z.string(), decimals: z.number().int() }).passthrough(),
+  })
+  .passthrough();
+
+export const rawTransactionSchema = z
+  .object({
+    slot: z.number().int(),
+    blockTime: z.number().int().nullish(),
+    meta: z
+      .object({
+        err: z.unknown().optional(),
+        fee: z.number(),
+        preBalances: z.array(z.number()),
+        postBalances: z.array(z.number()),
+        preTokenBalances: z.array(tokenBalance).nullish(),
+        postTokenBalances: z.array(tokenBalance).nullish(),
+        innerInstructions: z
+          .array(z.object({ index: z.number().int(), instructions: z.array(rawInstruction) }).passthrough())
+          .nullish(),
+        loadedAddresses: z
+          .object({ writable: z.array(z.string()), readonly: z.array(z.string()) })
+          .passthrough()
+          .nullish(),
+      })
+      .passthrough(),
+    transaction: z
+      .object({
+        signatures: z.array(z.string()).min(1),
+        message: z
+          .object({
+            accountKeys: z.array(z.union([z.string(), z.object({ pubkey: z.string() }).passthrough()])).min(1),
+            instructions: z.array(rawInstruction),
+          })
+          .passthrough(),
+      })
+      .passthrough(),
+  })
+  .passthrough();
+
+// ============================================
+// VALIDATION
+// ============================================
+
+// Rejection counts since startup
+const stats = {
+  transactions: 0,
+  rejected: 0,
+  rejectedPayloads: 0,
+  byField: {},
+};
+
+/**
+ * Validate one webhook transaction against the enhanced or raw schema
+ * Raw transactions are recognised by their transaction.message / meta.
+ *
+ * @returns {Object} { ok, error } with error a readable summary of the issues
+ */
+export function validateTransaction(tx) {
+  stats.transactions++;
+
+  if (!tx || typeof tx !== 'object' || Array.isArray(tx)) {
+    return rejectTransaction([{ path: [], message: 'Transaction must be an object' }]);
+  }
+
+  const schema = isRawTransaction(tx) ? rawTransactionSchema : enhancedTransactionSchema;
+  const result = schema.safeParse(tx);
+
+  return result.success ? { ok: true, error: null } : rejectTransaction(result.error.issues);
+}
+
+/**
+ * Validate the shape of a whole webhook body (a transaction or an array of them)
+ * Individual transactions are validated separately so one bad one doesn't reject the batch.
+ *
+ * @returns {boolean}
+ */
+export function isValidWebhookBody(body) {
+  const ok = !!body && typeof body === 'object';
+  if (!ok) stats.rejectedPayloads++;
+  return ok;
+}
+
+/**
+ * Validation counts since startup, with rejections per field
+ * (array indexes collapsed, e.g. `tokenTransfers.*.mint`)
+ */
+export function getValidationStats() {
+  return { ...stats, byField: { ...stats.byField } };
+}
+
+function rejectTransaction(issues) {
+  stats.rejected++;
+
+  const fields = new Set(issues.map((issue) => fieldOf(issue.path)));
+  for (const field of fields) {
+    stats.byField[field] = (stats.byField[field] || 0) + 1;
+  }
+
+  const listed = issues
+    .slice(0, MAX_ISSUES_IN_ERROR)
+    .map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+  if (issues.length > MAX_ISSUES_IN_ERROR) {
+    listed.push(`and ${issues.length - MAX_ISSUES_IN_ERROR} more`);
+  }
+
+  return { ok: false, error: listed.join('; ') };
+}
+
+function fieldOf(path) {
+  return path.map((part) => (typeof part === 'number' ? '*' : part)).join('.') || '(root)';
+}
@@ -0,0 +1,73 @@
+/**
+ * Base58 encoding utilities (Bitcoin alphabet, as used by Solana)
+ */
+
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const ALPHABET_MAP = new Map([...ALPHABET].map((char, i) => [char, i]));
+
+/**
+ * Encode bytes as a base58 string
+ */
+export function encodeBase58(bytes) {
+  const input = bytes instanceof Uint8Array ? bytes : Uint8Array.from(bytes);
+
+  let zeros = 0;
+  while (zeros < input.length && input[zeros] === 0) zeros++;
+
+  const digits = [];
+  for (let i = zeros; i < input.length; i++) {
+    let carry = input[i];
+    for (let j = 0; j < digits.length; j++) {
+      carry += digits[j] << 8;
+      digits[j] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+
+  let result = '1'.repeat(zeros);
+  for (let i = digits.length - 1; i >= 0; i--) {
+    result += ALPHABET[digits[i]];
+  }
+  return result;
+}
+
+/**
+ * Decode a base58 string to a Buffer
+ * Throws on invalid characters
+ */
+export function decodeBase58(str) {
+  let zeros = 0;
+  while (zeros < str.length && str[zeros] === '1') zeros++;
+
+  const bytes = [];
+  for (let i = zeros; i < str.length; i++) {
+    const value = ALPHABET_MAP.get(str[i]);
+    if (value === undefined) {
+      throw new Error(`Invalid base58 character: ${str[i]}`);
+    }
+
+    let carry = value;
+    for (let j = 0; j < bytes.length; j++) {
+      carry += bytes[j] * 58;
+      bytes[j] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  return Buffer.from([...new Array(zeros).fill(0), ...bytes.reverse()]);
+}
+
+/**
+ * Read a 32-byte public key from a buffer at an offset
+ */
+export function readPubkey(buffer, offset) {
+  return encodeBase58(buffer.subarray(offset, offset + 32));
+}
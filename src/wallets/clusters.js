@@ -0,0 +1,254 @@
+/**
+ * Wallet clustering by funding source
+ * Traces where buyer wallets got their SOL and groups wallets funded by the same address
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { LRUCache } from '../utils/dedupe.js';
+import { rpcRequest, fetchParsedTransactions, fetchMultipleAccounts, DEX_PROGRAMS } from '../helius.js';
+import { getWalletFunding, upsertWalletFunding, getPoolsByAddresses } from '../supabase.js';
+import { isRegisteredPool } from '../pools/registry.js';
+import { CEX_WALLETS } from '../holders/classify.js';
+
+const log = createLogger('wallet-clusters');
+
+// Accounts owned by these pay out swap proceeds, not funding
+const DEX_PROGRAM_IDS = new Set(Object.values(DEX_PROGRAMS));
+
+// Configuration
+const CLUSTER_MAX_LOOKUPS = parseInt(process.env.CLUSTER_MAX_LOOKUPS || '20', 10);
+const FUNDING_SIGNATURE_LIMIT = parseInt(process.env.FUNDING_SIGNATURE_LIMIT || '20', 10);
+const FUNDING_MIN_SOL = parseFloat(process.env.FUNDING_MIN_SOL || '0.01');
+const FUNDING_RETRACE_HOURS = parseInt(process.env.FUNDING_RETRACE_HOURS || '24', 10);
+
+// wallet -> funder address (wallets with no funder found are re-read from the database,
+// so they can be retraced once their check is older than FUNDING_RETRACE_HOURS)
+const funderCache = new LRUCache(50000);
+
+/**
+ * Group wallets into clusters that share a funding source
+ * Wallets whose funder is unknown (or an exchange) form their own cluster.
+ *
+ * @param {string[]} wallets - Wallet addresses (e.g. recent buyers)
+ * @param {Object} options
+ * @param {number} options.maxLookups - Max wallets to trace on-chain in this call
+ * @returns {Promise<Map<string, string>>} wallet -> cluster id
+ */
+export async function clusterWallets(wallets, { maxLookups = CLUSTER_MAX_LOOKUPS } = {}) {
+  const unique = [...new Set(wallets.filter(Boolean))];
+  const funders = await resolveFunders(unique, maxLookups);
+
+  // Union-find over wallets and their funders; a buyer that funded another buyer joins its cluster
+  const parent = new Map();
+  const find = (node) => {
+    if (!parent.has(node)) parent.set(node, node);
+    let root = node;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(node, root);
+    return root;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+
+  for (const wallet of unique) {
+    const funder = funders.get(wallet);
+    find(wallet);
+    if (funder && !CEX_WALLETS.has(funder)) {
+      union(funder, wallet);
+    }
+  }
+
+  const clusters = new Map();
+  for (const wallet of unique) {
+    clusters.set(wallet, find(wallet));
+  }
+  return clusters;
+}
+
+/**
+ * Resolve the funder of each wallet from cache, the database, then on-chain history
+ * Wallets whose trace failed are left out (and not stored), so they count as unknown this time
+ * and are traced again on the next call.
+ */
+async function resolveFunders(wallets, maxLookups) {
+  const funders = new Map();
+
+  let missing = [];
+  for (const wallet of wallets) {
+    if (funderCache.has(wallet)) {
+      funders.set(wallet, funderCache.get(wallet));
+    } else {
+      missing.push(wallet);
+    }
+  }
+
+  if (missing.length > 0) {
+    try {
+      const stored = await getWalletFunding(missing);
+      const retraceBefore = Date.now() - FUNDING_RETRACE_HOURS * 3600 * 1000;
+      for (const row of stored) {
+        if (row.funder) {
+          funders.set(row.wallet, row.funder);
+          funderCache.add(row.wallet, row.funder);
+        } else if (new Date(row.checked_at).getTime() >= retraceBefore) {
+          funders.set(row.wallet, null);
+        }
+      }
+      missing = missing.filter((wallet) => !funders.has(wallet));
+    } catch (err) {
+      log.warn('Failed to load stored wallet funding', { error: err.message });
+    }
+  }
+
+  const toTrace = missing.slice(0, maxLookups);
+  if (toTrace.length > 0) {
+    const { traced, failed } = await traceFunding(toTrace);
+    for (const row of traced) {
+      funders.set(row.wallet, row.funder);
+      if (row.funder) funderCache.add(row.wallet, row.funder);
+    }
+    if (failed.length > 0) {
+      log.warn('Failed to trace wallet funding', { failed: failed.length, traced: traced.length });
+    }
+
+    try {
+      await upsertWalletFunding(traced);
+    } catch (err) {
+      log.warn('Failed to store wallet funding', { error: err.message });
+    }
+  }
+
+  return funders;
+}
+
+/**
+ * Find the earliest inbound SOL transfer within each wallet's recent history
+ * Bot wallets are typically created and funded minutes before they buy, so their
+ * whole history fits in FUNDING_SIGNATURE_LIMIT signatures. Only plain SOL transfers count
+ * (no token movement or swap), and never from a pool, curve or other DEX-owned account,
+ * so sellers paid by the same pool aren't clustered together.
+ *
+ * @returns {Object} { traced: funding rows (funder null when none was found), failed: wallets
+ *   whose signatures or transactions could not be fetched }
+ */
+async function traceFunding(wallets) {
+  const signaturesByWallet = new Map();
+  const failed = new Set();
+  for (const wallet of wallets) {
+    const result = await rpcRequest(
+      'getSignaturesForAddress',
+      [wallet, { limit: FUNDING_SIGNATURE_LIMIT }],
+      'funding-signatures'
+    );
+    if (!result) {
+      failed.add(wallet);
+      continue;
+    }
+    signaturesByWallet.set(
+      wallet,
+      result.filter((sig) => !sig.err).map((sig) => sig.signature)
+    );
+  }
+
+  // Parse all signatures together, 100 per request
+  const allSignatures = [...new Set([...signaturesByWallet.values()].flat())];
+  const parsed = new Map();
+  const unparsed = new Set();
+  for (let i = 0; i < allSignatures.length; i += 100) {
+    const chunk = allSignatures.slice(i, i + 100);
+    const txs = await fetchParsedTransactions(chunk);
+    if (!txs) {
+      for (const signature of chunk) unparsed.add(signature);
+      continue;
+    }
+    for (const tx of txs) {
+      if (tx?.signature) parsed.set(tx.signature, tx);
+    }
+  }
+
+  for (const [wallet, signatures] of signaturesByWallet) {
+    if (signatures.some((signature) => unparsed.has(signature))) failed.add(wallet);
+  }
+
+  const minLamports = FUNDING_MIN_SOL * 1e9;
+
+  // Inbound plain transfers per wallet, earliest first
+  const transfersByWallet = new Map();
+  for (const [wallet, signatures] of signaturesByWallet) {
+    if (failed.has(wallet)) continue;
+
+    const transfers = [];
+    for (const signature of signatures) {
+      const tx = parsed.get(signature);
+      if (!tx || !isPlainTransfer(tx)) continue;
+
+      for (const transfer of tx.nativeTransfers || []) {
+        if (
+          transfer.toUserAccount === wallet &&
+          transfer.fromUserAccount &&
+          transfer.fromUserAccount !== wallet &&
+          transfer.amount >= minLamports
+        ) {
+          transfers.push({
+            funder: transfer.fromUserAccount,
+            amount: transfer.amount,
+            timestamp: tx.timestamp || 0,
+            signature,
+          });
+        }
+      }
+    }
+    transfersByWallet.set(wallet, transfers.sort((a, b) => a.timestamp - b.timestamp));
+  }
+
+  const senders = [...new Set([...transfersByWallet.values()].flat().map((t) => t.funder))];
+  const excluded = await findDexAccounts(senders);
+
+  const traced = wallets.filter((wallet) => !failed.has(wallet)).map((wallet) => {
+    const funding = transfersByWallet.get(wallet).find((t) => !excluded.has(t.funder)) || null;
+
+    return {
+      wallet,
+      funder: funding?.funder || null,
+      funded_at: funding?.timestamp ? new Date(funding.timestamp * 1000).toISOString() : null,
+      amount_sol: funding ? funding.amount / 1e9 : null,
+      signature: funding?.signature || null,
+    };
+  });
+
+  return { traced, failed: [...failed] };
+}
+
+/**
+ * Whether a transaction only moves SOL (no token transfers or swap)
+ */
+function isPlainTransfer(tx) {
+  return !tx.tokenTransfers?.length && !tx.events?.swap && tx.type !== 'SWAP';
+}
+
+/**
+ * Which of the given senders are pools, bonding curves or other DEX program-owned accounts
+ */
+async function findDexAccounts(addresses) {
+  const dex = new Set(addresses.filter((address) => isRegisteredPool(address)));
+  const unknown = addresses.filter((address) => !dex.has(address));
+  if (unknown.length === 0) return dex;
+
+  try {
+    const pools = await getPoolsByAddresses(unknown);
+    for (const pool of pools) dex.add(pool.pool_address);
+  } catch (err) {
+    log.warn('Failed to look up funder pools', { error: err.message });
+  }
+
+  const remaining = unknown.filter((address) => !dex.has(address));
+  const accounts = await fetchMultipleAccounts(remaining);
+  remaining.forEach((address, i) => {
+    if (DEX_PROGRAM_IDS.has(accounts[i]?.owner)) dex.add(address);
+  });
+
+  return dex;
+}
@@ -0,0 +1,123 @@
+/**
+ * Wallet performance
+ * Computes per-wallet PnL, win rate and entry timing from stored swaps
+ */
+
+// Token statuses whose remaining balance is treated as worthless
+const WORTHLESS_STATUSES = new Set(['dead', 'scam']);
+
+/**
+ * Compute performance stats for every wallet in a set of swaps
+ * PnL is in SOL using average-cost accounting per token position. Only swaps with a SOL
+ * value (price_sol) are counted; stablecoin legs use their SOL equivalent.
+ *
+ * @param {Object[]} swaps - Swaps with token_mint, ts, side, buyer, seller, amount_sol, amount_token, price_sol
+ * @param {Map<string, Object>} tokens - mint -> { status, first_seen_at, price_sol }
+ * @returns {Object[]} wallet_stats rows (without computed_at / window)
+ */
+export function computeWalletStats(swaps, tokens = new Map()) {
+  // wallet -> mint -> position
+  const positions = new Map();
+
+  const ordered = [...swaps].sort((a, b) => new Date(a.ts) - new Date(b.ts));
+
+  for (const swap of ordered) {
+    const wallet = swap.side === 'buy' ? swap.buyer : swap.side === 'sell' ? swap.seller : null;
+    const sol = parseFloat(swap.amount_sol) || 0;
+    const amount = parseFloat(swap.amount_token) || 0;
+    if (!wallet || !(parseFloat(swap.price_sol) > 0) || sol <= 0 || amount <= 0) continue;
+
+    if (!positions.has(wallet)) positions.set(wallet, new Map());
+    const byMint = positions.get(wallet);
+    if (!byMint.has(swap.token_mint)) {
+      byMint.set(swap.token_mint, {
+        held: 0,
+        costBasis: 0,
+        realized: 0,
+        volume: 0,
+        firstBuyMs: null,
+        firstTradeMs: null,
+        lastTradeMs: null,
+      });
+    }
+    const pos = byMint.get(swap.token_mint);
+    const tsMs = new Date(swap.ts).getTime();
+
+    pos.volume += sol;
+    pos.firstTradeMs = pos.firstTradeMs ?? tsMs;
+    pos.lastTradeMs = tsMs;
+
+    if (swap.side === 'buy') {
+      pos.held += amount;
+      pos.costBasis += sol;
+      pos.firstBuyMs = pos.firstBuyMs ?? tsMs;
+    } else {
+      // Sells beyond what we saw bought (bought before the window) have no known cost
+      const matched = Math.min(amount, pos.held);
+      const avgCost = pos.held > 0 ? pos.costBasis / pos.held : 0;
+      const proceeds = sol * (matched / amount);
+      pos.realized += proceeds - avgCost * matched;
+      pos.costBasis -= avgCost * matched;
+      pos.held -= matched;
+    }
+  }
+
+  const rows = [];
+
+  for (const [wallet, byMint] of positions) {
+    let realized = 0;
+    let unrealized = 0;
+    let volume = 0;
+    let wins = 0;
+    let losses = 0;
+    let tokensTraded = 0;
+    const entryMinutes = [];
+    let firstTradeMs = null;
+    let lastTradeMs = null;
+
+    for (const [mint, pos] of byMint) {
+      // Positions only ever sold in the window can't be judged
+      if (pos.firstBuyMs === null) continue;
+      tokensTraded++;
+
+      const token = tokens.get(mint);
+      const price = WORTHLESS_STATUSES.has(token?.status) ? 0 : parseFloat(token?.price_sol) || 0;
+      const openPnl = pos.held * price - pos.costBasis;
+
+      realized += pos.realized;
+      unrealized += openPnl;
+      volume += pos.volume;
+
+      if (pos.realized + openPnl > 0) wins++;
+      else losses++;
+
+      if (token?.first_seen_at) {
+        const minutes = (pos.firstBuyMs - new Date(token.first_seen_at).getTime()) / 60000;
+        if (minutes >= 0) entryMinutes.push(minutes);
+      }
+
+      firstTradeMs = firstTradeMs === null ? pos.firstTradeMs : Math.min(firstTradeMs, pos.firstTradeMs);
+      lastTradeMs = lastTradeMs === null ? pos.lastTradeMs : Math.max(lastTradeMs, pos.lastTradeMs);
+    }
+
+    if (tokensTraded === 0) continue;
+
+    rows.push({
+      wallet,
+      tokens_traded: tokensTraded,
+      wins,
+      losses,
+      win_rate: wins / tokensTraded,
+      realized_pnl_sol: realized,
+      unrealized_pnl_sol: unrealized,
+      total_pnl_sol: realized + unrealized,
+      volume_sol: volume,
+      avg_entry_minutes:
+        entryMinutes.length > 0 ? entryMinutes.reduce((sum, m) => sum + m, 0) / entryMinutes.length : null,
+      first_trade_at: new Date(firstTradeMs).toISOString(),
+      last_trade_at: new Date(lastTradeMs).toISOString(),
+    });
+  }
+
+  return rows;
+}
@@ -0,0 +1,73 @@
+/**
+ * Smart-money watchlist
+ * Matches swaps against labeled wallets from the tracked_wallets table
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { getTrackedWallets } from '../supabase.js';
+
+const log = createLogger('watchlist');
+
+// Configuration
+const TRACKED_WALLETS_REFRESH_MS = parseInt(process.env.TRACKED_WALLETS_REFRESH_MS || '60000', 10);
+
+// wallet -> label
+let watchlist = new Map();
+let loadedAt = 0;
+let loading = null;
+
+/**
+ * Get the watchlist, reloading it from the database when stale
+ *
+ * @returns {Promise<Map<string, string>>} wallet -> label
+ */
+export async function getWatchlist() {
+  if (Date.now() - loadedAt < TRACKED_WALLETS_REFRESH_MS) {
+    return watchlist;
+  }
+
+  // Share one reload between concurrent callers
+  if (!loading) {
+    loading = getTrackedWallets()
+      .then((rows) => {
+        watchlist = new Map(rows.map((row) => [row.wallet, row.label || 'tracked']));
+        loadedAt = Date.now();
+        log.debug('Watchlist loaded', { wallets: watchlist.size });
+      })
+      .catch((err) => {
+        // Keep serving the previous list; retry on the next call
+        log.warn('Failed to load watchlist', { error: err.message });
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+
+  await loading;
+  return watchlist;
+}
+
+/**
+ * Tag swaps made by tracked wallets with the wallet's label (swap.meta.tracked_wallet)
+ *
+ * @param {Object[]} swaps - Parsed swaps
+ * @returns {Promise<Object[]>} Matched swaps
+ */
+export async function matchTrackedWallets(swaps) {
+  if (swaps.length === 0) return [];
+
+  const list = await getWatchlist();
+  if (list.size === 0) return [];
+
+  const matched = [];
+  for (const swap of swaps) {
+    const wallet = swap.buyer || swap.seller;
+    const label = wallet ? list.get(wallet) : undefined;
+    if (label) {
+      swap.meta = { ...swap.meta, tracked_wallet: label };
+      matched.push(swap);
+    }
+  }
+
+  return matched;
+}
@@ -0,0 +1,215 @@
+/**
+ * Webhook authentication
+ * Checks the source IP, the shared secret and (optionally) an HMAC signature over the body,
+ * and rejects stale or replayed signed deliveries
+ */
+
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+import { createLogger } from './utils/logger.js';
+import { LRUCache } from './utils/dedupe.js';
+
+const log = createLogger('webhook-auth');
+
+// Configuration
+const WEBHOOK_SIGNATURE_MAX_AGE_SECONDS = parseInt(process.env.WEBHOOK_SIGNATURE_MAX_AGE_SECONDS || '300', 10);
+const WEBHOOK_IP_ALLOWLIST = (process.env.WEBHOOK_IP_ALLOWLIST || '')
+  .split(',')
+  .map((entry) => entry.trim())
+  .filter(Boolean);
+
+// Proxies whose X-Forwarded-For is believed: unset/false (none, use the socket address),
+// a hop count, a comma-separated list of proxy IPs / CIDR ranges, or true (any; no allowlist)
+export const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+
+// Reject unauthenticated deliveries when no secret is configured (always on in production)
+const WEBHOOK_FAIL_CLOSED =
+  process.env.WEBHOOK_FAIL_CLOSED === 'true' ||
+  (process.env.NODE_ENV === 'production' && process.env.WEBHOOK_FAIL_CLOSED !== 'false');
+
+// Signature headers: `X-Webhook-Timestamp: <unix seconds>`, `X-Webhook-Signature: sha256=<hex>`
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+const SIGNATURE_HEADER = 'x-webhook-signature';
+
+// Signatures accepted within the max age; a second delivery with the same one is a replay
+const seenSignatures = new LRUCache(50000);
+
+let warnedUnconfigured = false;
+
+/**
+ * Authenticate a webhook request
+ * Order: IP allowlist, shared secret (HELIUS_WEBHOOK_SECRET), then HMAC signature
+ * (WEBHOOK_HMAC_SECRET). Each check only applies when configured. The allowlist is checked
+ * against request.ip, which only follows X-Forwarded-For through the TRUST_PROXY proxies.
+ *
+ * @param {Object} request - Fastify request (rawBody set by the server's JSON parser)
+ * @returns {Object} { ok, status, reason, signature (of a signed delivery) }
+ */
+export function authenticateWebhook(request) {
+  const secret = process.env.HELIUS_WEBHOOK_SECRET;
+  const hmacSecret = process.env.WEBHOOK_HMAC_SECRET;
+
+  if (WEBHOOK_IP_ALLOWLIST.length > 0 && !isAllowedIp(request.ip)) {
+    return reject(403, 'IP not allowed');
+  }
+
+  if (!secret && !hmacSecret) {
+    if (WEBHOOK_FAIL_CLOSED) {
+      return reject(401, 'Webhook authentication not configured');
+    }
+    if (!warnedUnconfigured) {
+      log.warn('HELIUS_WEBHOOK_SECRET not configured, skipping validation');
+      warnedUnconfigured = true;
+    }
+    return { ok: true };
+  }
+
+  if (secret && !hasValidSecret(request, secret)) {
+    return reject(401, 'Invalid secret');
+  }
+
+  if (hmacSecret) {
+    return verifySignature(request, hmacSecret);
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Whether the request carries the shared secret
+ * Helius sends its auth header as `Authorization`; `X-Webhook-Secret` and `?secret=` also work.
+ */
+function hasValidSecret(request, secret) {
+  const candidates = [
+    request.headers['authorization'],
+    request.headers['x-webhook-secret'],
+    request.query?.secret,
+  ].filter((value) => typeof value === 'string');
+
+  return candidates.some(
+    (value) => safeEqual(value, secret) || (value.startsWith('Bearer ') && safeEqual(value.slice(7), secret))
+  );
+}
+
+/**
+ * Verify an HMAC-SHA256 signature over `<timestamp>.<raw body>`
+ * The timestamp must be within WEBHOOK_SIGNATURE_MAX_AGE_SECONDS of now, and each signature is
+ * accepted once.
+ */
+function verifySignature(request, hmacSecret) {
+  const timestamp = request.headers[TIMESTAMP_HEADER];
+  const header = request.headers[SIGNATURE_HEADER];
+  if (typeof timestamp !== 'string' || typeof header !== 'string' || !request.rawBody) {
+    return reject(401, 'Missing signature');
+  }
+
+  const ageSeconds = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!/^\d+$/.test(timestamp) || ageSeconds > WEBHOOK_SIGNATURE_MAX_AGE_SECONDS) {
+    return reject(401, 'Stale or invalid timestamp');
+  }
+
+  const signature = header.replace(/^sha256=/, '');
+  const expected = createHmac('sha256', hmacSecret)
+    .update(`${timestamp}.`)
+    .update(request.rawBody)
+    .digest('hex');
+  if (!safeEqual(signature, expected)) {
+    return reject(401, 'Invalid signature');
+  }
+
+  // Older signatures fail the timestamp check, so the cache only has to cover the max age
+  if (seenSignatures.has(expected)) {
+    return reject(409, 'Replayed delivery');
+  }
+  seenSignatures.add(expected);
+
+  return { ok: true, signature: expected };
+}
+
+/**
+ * Forget an accepted signature so the same delivery can be retried
+ * (called when the webhook could not be queued after authenticating)
+ */
+export function forgetWebhookDelivery(auth) {
+  if (auth?.signature) seenSignatures.delete(auth.signature);
+}
+
+/**
+ * Constant-time string comparison (hashing first so lengths can differ)
+ */
+function safeEqual(a, b) {
+  const hashA = createHash('sha256').update(String(a)).digest();
+  const hashB = createHash('sha256').update(String(b)).digest();
+  return timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Whether an IP matches WEBHOOK_IP_ALLOWLIST (exact addresses or IPv4 CIDR ranges)
+ */
+function isAllowedIp(ip) {
+  const address = (ip || '').replace(/^::ffff:/, '');
+
+  return WEBHOOK_IP_ALLOWLIST.some((entry) => {
+    if (!entry.includes('/')) return entry === address;
+
+    const [range, bits] = entry.split('/');
+    const prefix = Number(bits);
+    const rangeInt = ipv4ToInt(range);
+    const addressInt = ipv4ToInt(address);
+    if (rangeInt === null || addressInt === null || !Number.isInteger(prefix) || prefix < 0 || prefix > 32) {
+      return false;
+    }
+
+    const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+    return (rangeInt & mask) >>> 0 === (addressInt & mask) >>> 0;
+  });
+}
+
+function ipv4ToInt(ip) {
+  const parts = ip.split('.').map(Number);
+  if (parts.length !== 4 || parts.some((p) => !Number.isInteger(p) || p < 0 || p > 255)) return null;
+  return ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0;
+}
+
+function reject(status, reason) {
+  return { ok: false, status, reason };
+}
+
+/**
+ * Parse TRUST_PROXY into Fastify's trustProxy option
+ */
+function parseTrustProxy(value) {
+  const setting = (value || '').trim();
+  if (!setting || setting === 'false') return false;
+  if (setting === 'true') return true;
+  if (/^\d+$/.test(setting)) return parseInt(setting, 10);
+  return setting
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Check the auth configuration and log it at startup
+ * Refuses an IP allowlist when every proxy is trusted, since any client could then pick its
+ * own address with X-Forwarded-For.
+ */
+export function checkWebhookAuthConfig() {
+  const secret = !!process.env.HELIUS_WEBHOOK_SECRET;
+  const hmac = !!process.env.WEBHOOK_HMAC_SECRET;
+
+  if (WEBHOOK_IP_ALLOWLIST.length > 0 && TRUST_PROXY === true) {
+    throw new Error('WEBHOOK_IP_ALLOWLIST cannot be used with TRUST_PROXY=true; list the proxy IPs or a hop count');
+  }
+
+  if (!secret && !hmac && WEBHOOK_FAIL_CLOSED) {
+    log.error('No webhook secret configured; all webhook deliveries will be rejected');
+  }
+
+  log.info('Webhook auth', {
+    secret,
+    hmac,
+    ipAllowlist: WEBHOOK_IP_ALLOWLIST.length,
+    trustProxy: TRUST_PROXY,
+    failClosed: WEBHOOK_FAIL_CLOSED,
+  });
+}
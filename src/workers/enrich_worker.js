@@ -12,9 +12,23 @@ import {
   insertHolderSnapshot,
   insertTokenMetrics,
   getSwapMetrics,
+  getLaunchSwaps,
   getPoolsForToken,
+  updatePoolLiquidity,
+  getCreator,
 } from '../supabase.js';
-import { fetchTokenMetadata, fetchTokenHolders, fetchTokenInfo } from '../helius.js';
+import { fetchTokenMetadata, fetchTokenInfo } from '../helius.js';
+import { backfillSwapUsd } from '../pricing/backfill.js';
+import { getSolPriceUsd } from '../pricing/sol_price.js';
+import { fetchPoolLiquidity, pickDeepestPool } from '../pools/liquidity.js';
+import { fetchLpLockStatus } from '../pools/lp_lock.js';
+import { fetchBondingCurve, findGraduationPool } from '../pools/bonding_curve.js';
+import { fetchAllHolders } from '../holders/indexer.js';
+import { calculateHolderDistribution } from '../holders/distribution.js';
+import { classifyHolders, BONDING_CURVE_DEXES } from '../holders/classify.js';
+import { refreshCreatorStats } from '../creators/reputation.js';
+import { analyzeSnipers } from '../analytics/snipers.js';
+import { clusterWallets } from '../wallets/clusters.js';
 
 const log = createLogger('enrich-worker');
 
@@ -22,6 +36,9 @@ const log = createLogger('enrich-worker');
 const ENRICH_INTERVAL_MS = parseInt(process.env.ENRICH_INTERVAL_MS || '15000', 10);
 const ENRICH_BATCH_SIZE = parseInt(process.env.ENRICH_BATCH_SIZE || '10', 10);
 const ENRICH_STALE_SECONDS = parseInt(process.env.ENRICH_STALE_SECONDS || '30', 10);
+const ENRICH_MAX_POOLS = parseInt(process.env.ENRICH_MAX_POOLS || '3', 10);
+const LP_CHECK_INTERVAL_SECONDS = parseInt(process.env.LP_CHECK_INTERVAL_SECONDS || '300', 10);
+const CREATOR_STATS_REFRESH_SECONDS = parseInt(process.env.CREATOR_STATS_REFRESH_SECONDS || '600', 10);
 
 // Retry configuration
 const MAX_RETRIES = 3;
@@ -73,6 +90,13 @@ export function stopEnrichWorker() {
  * Enrich a batch of tokens
  */
 async function enrichBatch() {
+  // Price any swaps stored while the SOL price was unavailable
+  try {
+    await backfillSwapUsd({ maxRows: 200 });
+  } catch (err) {
+    log.warn('Swap USD backfill failed', { error: err.message });
+  }
+
   const tokens = await getTokensToEnrich(ENRICH_BATCH_SIZE, ENRICH_STALE_SECONDS);
 
   if (tokens.length === 0) {
@@ -128,17 +152,28 @@ async function enrichToken(token) {
       enrichData.freeze_authority = tokenInfo.freezeAuthority;
       enrichData.decimals = tokenInfo.decimals;
       enrichData.supply = tokenInfo.supply;
+      enrichData.token_program = tokenInfo.tokenProgram;
+      enrichData.token_extensions = tokenInfo.extensions;
     }
   } catch (err) {
     errors.push(`tokenInfo: ${err.message}`);
   }
 
-  // 3. Fetch holder distribution
+  // Pools are needed to recognize LP vaults among holders and for liquidity
+  let pools = [];
+  try {
+    pools = await getPoolsForToken(mint);
+  } catch (err) {
+    errors.push(`pools: ${err.message}`);
+  }
+
+  // 3. Index all holders and compute distribution against supply
   let holderSnapshot = null;
   try {
-    const holders = await retryWithBackoff(() => fetchTokenHolders(mint));
-    if (holders && holders.length > 0) {
-      holderSnapshot = calculateHolderDistribution(holders);
+    const holderIndex = await retryWithBackoff(() => fetchAllHolders(mint));
+    if (holderIndex && holderIndex.holders.length > 0) {
+      const classifications = await classifyHolders(holderIndex.holders, pools);
+      holderSnapshot = calculateHolderDistribution(holderIndex, enrichData.supply ?? token.supply, classifications);
       await insertHolderSnapshot(mint, holderSnapshot);
     }
   } catch (err) {
@@ -148,22 +183,32 @@ async function enrichToken(token) {
   // 4. Calculate swap metrics from DB
   let swapMetrics = null;
   try {
-    swapMetrics = await getSwapMetrics(mint);
+    swapMetrics = await getSwapMetrics(mint, { clusterWallets });
   } catch (err) {
     errors.push(`swapMetrics: ${err.message}`);
   }
 
-  // 5. Get pool liquidity (if we have pools)
+  // 5. Detect snipers / bundled buys right after launch
+  let sniperStats = null;
+  try {
+    sniperStats = await detectSnipers(mint, pools, {
+      supply: enrichData.supply ?? token.supply,
+      decimals: enrichData.decimals ?? token.decimals,
+    });
+  } catch (err) {
+    errors.push(`snipers: ${err.message}`);
+  }
+
+  // 6. Measure pool liquidity (if we have pools)
   let liquidityData = null;
   try {
-    const pools = await getPoolsForToken(mint);
-    if (pools && pools.length > 0) {
+    if (pools.length > 0) {
+      await refreshPoolLiquidity(pools.slice(0, ENRICH_MAX_POOLS), swapMetrics?.price_sol ?? null);
+      await refreshLpLockStatus(pools.slice(0, ENRICH_MAX_POOLS));
+
       // Use the pool with highest liquidity
-      const bestPool = pools.reduce(
-        (best, p) => ((p.liquidity_usd || 0) > (best?.liquidity_usd || 0) ? p : best),
-        null
-      );
-      if (bestPool) {
+      const bestPool = pickDeepestPool(pools);
+      if (bestPool?.liquidity_usd != null || bestPool?.liquidity_sol != null) {
         liquidityData = {
           liquidity_usd: bestPool.liquidity_usd,
           liquidity_sol: bestPool.liquidity_sol,
@@ -174,23 +219,49 @@ async function enrichToken(token) {
     errors.push(`pools: ${err.message}`);
   }
 
-  // 6. Insert token metrics snapshot
-  if (swapMetrics || holderSnapshot || liquidityData) {
+  // 7. Track Pump.fun bonding-curve progress and migration
+  let curveState = null;
+  try {
+    curveState = await refreshBondingCurve(token, pools);
+    if (curveState) {
+      Object.assign(enrichData, curveState.fields);
+    }
+  } catch (err) {
+    errors.push(`bondingCurve: ${err.message}`);
+  }
+
+  // 8. Insert token metrics snapshot
+  if (swapMetrics || holderSnapshot || liquidityData || sniperStats) {
     try {
       await insertTokenMetrics(mint, {
         ...swapMetrics,
         liquidity_usd: liquidityData?.liquidity_usd,
         liquidity_sol: liquidityData?.liquidity_sol,
         holder_count: holderSnapshot?.holder_count,
+        meta: { ...swapMetrics?.meta, snipers: sniperStats || undefined },
       });
     } catch (err) {
       errors.push(`insertMetrics: ${err.message}`);
     }
   }
 
-  // 7. Update token enrichment timestamp and data
+  // 9. Refresh the creator's launch outcomes (other tokens may have died since)
+  if (token.creator) {
+    try {
+      const creator = await getCreator(token.creator);
+      const lastRefresh = creator?.stats_updated_at ? new Date(creator.stats_updated_at).getTime() : 0;
+      if (Date.now() - lastRefresh >= CREATOR_STATS_REFRESH_SECONDS * 1000) {
+        await refreshCreatorStats(token.creator);
+      }
+    } catch (err) {
+      errors.push(`creator: ${err.message}`);
+    }
+  }
+
+  // 10. Update token enrichment timestamp and data
   enrichData.meta = {
     ...token.meta,
+    bonding_curve: curveState?.curve ?? token.meta?.bonding_curve,
     last_enrich_errors: errors.length > 0 ? errors : undefined,
     enrich_count: (token.meta?.enrich_count || 0) + 1,
   };
@@ -205,63 +276,134 @@ async function enrichToken(token) {
 }
 
 /**
- * Calculate holder distribution from largest accounts
+ * Analyze the first buys after the token's launch pool was created
+ * Only runs when the launch is known: a pool creation decoded from its transaction (for tokens
+ * first seen later, history backfill recovers it). Pools first seen through swaps carry their
+ * discovery time, and a token that started on a bonding curve launched with the curve, not a
+ * later AMM pool, so neither stands in for the launch.
+ *
+ * @returns {Object|null} Sniper stats, or null when the launch is unknown
+ */
+async function detectSnipers(mint, pools, { supply, decimals }) {
+  const launchPool = pools
+    .filter((p) => p.created_at && p.meta?.signature && p.meta?.discovered_via !== 'swap')
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))[0];
+
+  const curvePool = pools.find((p) => BONDING_CURVE_DEXES.has(p.dex));
+  if (!launchPool || (curvePool && curvePool !== launchPool)) return null;
+
+  const launch = { ts: launchPool.created_at, slot: launchPool.meta.slot };
+  const swaps = await getLaunchSwaps(mint, launch.ts);
+
+  const supplyUi = parseFloat(supply) > 0 && decimals != null ? parseFloat(supply) / Math.pow(10, decimals) : null;
+  return analyzeSnipers(swaps, launch, supplyUi);
+}
+
+/**
+ * Measure liquidity for each pool and write it back to the pools table
+ * Updates the pool records in place so the caller sees fresh values
+ *
+ * @param {Object[]} pools
+ * @param {number} priceSol - Latest swap price of the token in SOL (values concentrated pools' base side)
  */
-function calculateHolderDistribution(holders) {
-  if (!holders || holders.length === 0) {
-    return {
-      holder_count: 0,
-      top1_pct: 0,
-      top5_pct: 0,
-      top10_pct: 0,
-      top20_pct: 0,
-    };
+async function refreshPoolLiquidity(pools, priceSol) {
+  const solPriceUsd = await getSolPriceUsd();
+
+  for (const pool of pools) {
+    try {
+      const liquidity = await retryWithBackoff(() => fetchPoolLiquidity(pool, solPriceUsd, priceSol));
+      if (!liquidity) continue;
+
+      const update = {
+        liquidity_usd: liquidity.liquidity_usd,
+        liquidity_sol: liquidity.liquidity_sol,
+        lp_mint: liquidity.lp_mint || pool.lp_mint || pool.meta?.lp_mint || null,
+        meta: {
+          ...pool.meta,
+          lp_supply: liquidity.lp_supply ?? pool.meta?.lp_supply,
+          reserves: liquidity.reserves,
+        },
+      };
+
+      await updatePoolLiquidity(pool.pool_address, update);
+      Object.assign(pool, update);
+    } catch (err) {
+      log.warn('Failed to refresh pool liquidity', { pool: pool.pool_address, error: err.message });
+    }
   }
+}
 
-  // Sort by amount descending
-  const sorted = [...holders].sort((a, b) => {
-    const amountA = parseFloat(a.uiAmount || a.amount || 0);
-    const amountB = parseFloat(b.uiAmount || b.amount || 0);
-    return amountB - amountA;
-  });
+/**
+ * Check LP burn / lock status for pools with a known LP mint
+ * Re-checked at most every LP_CHECK_INTERVAL_SECONDS per pool
+ */
+async function refreshLpLockStatus(pools) {
+  const now = Date.now();
+
+  for (const pool of pools) {
+    if (!pool.lp_mint) continue;
 
-  // Calculate total supply from top holders (estimate)
-  const totalFromTop = sorted.reduce((sum, h) => sum + parseFloat(h.uiAmount || h.amount || 0), 0);
-
-  if (totalFromTop === 0) {
-    return {
-      holder_count: sorted.length,
-      top1_pct: 0,
-      top5_pct: 0,
-      top10_pct: 0,
-      top20_pct: 0,
-    };
+    const lastChecked = pool.lp_checked_at ? new Date(pool.lp_checked_at).getTime() : 0;
+    if (now - lastChecked < LP_CHECK_INTERVAL_SECONDS * 1000) continue;
+
+    try {
+      const status = await retryWithBackoff(() => fetchLpLockStatus(pool.lp_mint, pool.meta?.lp_supply));
+      if (!status) continue;
+
+      const update = {
+        lp_burned_pct: status.lp_burned_pct,
+        lp_locked_pct: status.lp_locked_pct,
+        lp_checked_at: new Date(now).toISOString(),
+        meta: { ...pool.meta, lp_lock: status.meta },
+      };
+
+      await updatePoolLiquidity(pool.pool_address, update);
+      Object.assign(pool, update);
+    } catch (err) {
+      log.warn('Failed to check LP lock status', { pool: pool.pool_address, error: err.message });
+    }
   }
+}
 
-  // Calculate percentages
-  const top1Amount = sorted.slice(0, 1).reduce((sum, h) => sum + parseFloat(h.uiAmount || h.amount || 0), 0);
-  const top5Amount = sorted.slice(0, 5).reduce((sum, h) => sum + parseFloat(h.uiAmount || h.amount || 0), 0);
-  const top10Amount = sorted
-    .slice(0, 10)
-    .reduce((sum, h) => sum + parseFloat(h.uiAmount || h.amount || 0), 0);
-  const top20Amount = sorted
-    .slice(0, 20)
-    .reduce((sum, h) => sum + parseFloat(h.uiAmount || h.amount || 0), 0);
-
-  return {
-    holder_count: sorted.length,
-    top1_pct: (top1Amount / totalFromTop) * 100,
-    top5_pct: (top5Amount / totalFromTop) * 100,
-    top10_pct: (top10Amount / totalFromTop) * 100,
-    top20_pct: (top20Amount / totalFromTop) * 100,
-    meta: {
-      total_from_top: totalFromTop,
-      top_holders: sorted.slice(0, 5).map((h) => ({
-        address: h.address,
-        amount: h.uiAmount || h.amount,
-      })),
-    },
+/**
+ * Read the token's Pump.fun bonding curve and detect its migration to an AMM
+ * The curve is a pool record (dex pump_fun) learned from swaps; graduation is the first
+ * PumpSwap / Raydium pool seen once the curve is complete. Graduated tokens are not re-read.
+ *
+ * @returns {Object|null} { fields: token columns to update, curve: decoded curve state }
+ */
+async function refreshBondingCurve(token, pools) {
+  if (token.graduated_at) return null;
+
+  const curvePool = pools.find((p) => p.dex === 'pump_fun');
+  if (!curvePool) return null;
+
+  const curve = await retryWithBackoff(() => fetchBondingCurve(curvePool.pool_address));
+  const graduationPool = findGraduationPool(pools);
+  const complete = curve?.complete || (token.curve_complete ?? false) || !!graduationPool;
+
+  const fields = {
+    curve_progress_pct: complete ? 100 : curve?.progress_pct ?? token.curve_progress_pct ?? null,
+    curve_complete: complete,
   };
+
+  if (complete && graduationPool) {
+    // Pools first seen through swaps carry the discovery time, not the migration time
+    const migratedAt =
+      graduationPool.created_at && graduationPool.meta?.discovered_via !== 'swap'
+        ? graduationPool.created_at
+        : new Date().toISOString();
+    fields.graduated_at = migratedAt;
+    fields.graduated_pool = graduationPool.pool_address;
+
+    log.info('Token graduated from bonding curve', {
+      mint: token.mint,
+      dex: graduationPool.dex,
+      pool: graduationPool.pool_address,
+    });
+  }
+
+  return { fields, curve };
 }
 
 /**
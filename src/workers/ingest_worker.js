@@ -0,0 +1,202 @@
+/**
+ * Ingest Worker
+ * Claims queued webhook transactions from raw_events, processes them and retries failures with backoff
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { claimRawEvents, markEventsProcessed, markEventProcessed, scheduleEventRetry } from '../supabase.js';
+import { processWebhookPayload } from '../ingest.js';
+
+const log = createLogger('ingest-worker');
+
+// Configuration
+const INGEST_INTERVAL_MS = parseInt(process.env.INGEST_INTERVAL_MS || '1000', 10);
+const INGEST_BATCH_SIZE = parseInt(process.env.INGEST_BATCH_SIZE || '50', 10);
+const INGEST_LOCK_SECONDS = parseInt(process.env.INGEST_LOCK_SECONDS || '120', 10);
+const INGEST_MAX_ATTEMPTS = parseInt(process.env.INGEST_MAX_ATTEMPTS || '8', 10);
+const INGEST_RETRY_BASE_MS = parseInt(process.env.INGEST_RETRY_BASE_MS || '5000', 10);
+const INGEST_RETRY_MAX_MS = parseInt(process.env.INGEST_RETRY_MAX_MS || '600000', 10);
+
+let isRunning = false;
+let shouldStop = false;
+let wake = null;
+
+/**
+ * Start the ingest worker
+ */
+export async function startIngestWorker() {
+  if (isRunning) {
+    log.warn('Ingest worker already running');
+    return;
+  }
+
+  isRunning = true;
+  shouldStop = false;
+  log.info('Ingest worker started', {
+    interval: INGEST_INTERVAL_MS,
+    batchSize: INGEST_BATCH_SIZE,
+    maxAttempts: INGEST_MAX_ATTEMPTS,
+  });
+
+  while (!shouldStop) {
+    let claimed = 0;
+    try {
+      claimed = await processBatch();
+    } catch (err) {
+      log.error('Ingest batch error', err);
+    }
+
+    // A full batch means more is probably waiting
+    if (claimed < INGEST_BATCH_SIZE) {
+      await idle(INGEST_INTERVAL_MS);
+    }
+  }
+
+  isRunning = false;
+  log.info('Ingest worker stopped');
+}
+
+/**
+ * Stop the ingest worker
+ */
+export function stopIngestWorker() {
+  shouldStop = true;
+  wakeIngestWorker();
+  log.info('Ingest worker stopping...');
+}
+
+/**
+ * Cut the worker's idle wait short (called when a webhook is queued)
+ */
+export function wakeIngestWorker() {
+  if (wake) wake();
+}
+
+/**
+ * Sleep until the interval passes or the worker is woken
+ */
+function idle(ms) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      wake = null;
+      resolve();
+    }
+    wake = done;
+  });
+}
+
+/**
+ * Claim and process one batch of due events
+ * The batch is processed together (pricing and pool verification are batched); if that fails,
+ * each event is retried on its own so one bad event doesn't hold back the others.
+ *
+ * @returns {number} Events claimed
+ */
+async function processBatch() {
+  const events = await claimRawEvents(INGEST_BATCH_SIZE, INGEST_LOCK_SECONDS);
+  if (events.length === 0) return 0;
+
+  events.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  const startTime = Date.now();
+
+  try {
+    // Signatures are deduped in memory only on first delivery; retries must be parsed again
+    const dedupe = events.every((e) => e.attempts <= 1);
+    await processWebhookPayload(events.map((e) => e.payload), { dedupe });
+    await markEventsProcessed(events.map((e) => e.id));
+
+    log.info('Ingested events', { count: events.length, durationMs: Date.now() - startTime });
+    return events.length;
+  } catch (err) {
+    log.warn('Batch ingest failed, processing events individually', {
+      count: events.length,
+      error: err.message,
+    });
+  }
+
+  for (const event of events) {
+    try {
+      await processWebhookPayload(event.payload, { dedupe: false });
+      await markEventProcessed(event.id);
+    } catch (err) {
+      await failEvent(event, err);
+    }
+  }
+
+  return events.length;
+}
+
+/**
+ * Schedule a failed event for retry, or give up after INGEST_MAX_ATTEMPTS
+ */
+async function failEvent(event, err) {
+  try {
+    if (event.attempts >= INGEST_MAX_ATTEMPTS) {
+      log.error('Giving up on event', { id: event.id, signature: event.signature, attempts: event.attempts });
+      await markEventProcessed(event.id, err.message);
+      return;
+    }
+
+    const delayMs = retryDelayMs(event.attempts);
+    await scheduleEventRetry(event.id, err.message, new Date(Date.now() + delayMs).toISOString());
+    log.warn('Event failed, will retry', {
+      id: event.id,
+      signature: event.signature,
+      attempts: event.attempts,
+      retryInMs: delayMs,
+      error: err.message,
+    });
+  } catch (updateErr) {
+    // The lease expires on its own, so the event is claimed again either way
+    log.error('Failed to record event failure', { id: event.id, error: updateErr.message });
+  }
+}
+
+/**
+ * Exponential backoff with jitter: base * 2^(attempts - 1), capped
+ */
+function retryDelayMs(attempts) {
+  const delay = Math.min(INGEST_RETRY_BASE_MS * 2 ** (attempts - 1), INGEST_RETRY_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Run once for testing
+ */
+export async function runOnce() {
+  log.info('Running single ingest batch');
+  const claimed = await processBatch();
+  log.info('Ingest batch done', { claimed });
+}
+
+// Allow running directly
+if (process.argv[1].includes('ingest_worker.js')) {
+  // Load environment variables
+  const { config } = await import('dotenv');
+  config();
+
+  if (process.argv.includes('--once')) {
+    runOnce()
+      .then(() => process.exit(0))
+      .catch((err) => {
+        log.error('Ingest run failed', err);
+        process.exit(1);
+      });
+  } else {
+    startIngestWorker().catch((err) => {
+      log.error('Worker failed', err);
+      process.exit(1);
+    });
+
+    // Handle shutdown
+    process.on('SIGINT', () => {
+      stopIngestWorker();
+    });
+
+    process.on('SIGTERM', () => {
+      stopIngestWorker();
+    });
+  }
+}
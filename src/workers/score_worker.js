@@ -11,10 +11,13 @@ import {
   getLatestHolderSnapshot,
   getPoolsForToken,
   getLatestScore,
+  getCreator,
   insertScore,
+  updateTokenPeakScore,
   getOrCreateAlert,
 } from '../supabase.js';
 import { score, shouldAlert } from '../scoring/score.js';
+import { pickDeepestPool } from '../pools/liquidity.js';
 import { sendTokenAlert } from '../telegram/bot.js';
 
 const log = createLogger('score-worker');
@@ -103,14 +106,16 @@ async function scoreToken(token) {
   const { mint } = token;
 
   // Get latest data
-  const [metrics, holders, pools, previousScore] = await Promise.all([
+  const [metrics, holders, pools, previousScore, creator] = await Promise.all([
     getLatestTokenMetrics(mint),
     getLatestHolderSnapshot(mint),
     getPoolsForToken(mint),
     getLatestScore(mint),
+    token.creator ? getCreator(token.creator) : null,
   ]);
 
-  const pool = pools?.[0];
+  // Score against the deepest pool (its LP lock status is the one that matters)
+  const pool = pickDeepestPool(pools);
 
   // Compute score
   const scoreResult = score({
@@ -118,6 +123,7 @@ async function scoreToken(token) {
     metrics,
     holders,
     pool,
+    creator,
   });
 
   // Store score
@@ -128,6 +134,11 @@ async function scoreToken(token) {
     components: scoreResult.components,
   });
 
+  // Track the token's best score for its creator's reputation
+  if (token.peak_score == null || scoreResult.score > token.peak_score) {
+    await updateTokenPeakScore(mint, scoreResult.score);
+  }
+
   log.debug('Token scored', {
     mint,
     score: scoreResult.score,
@@ -0,0 +1,179 @@
+/**
+ * Wallet Stats Worker
+ * Periodically ranks wallets by PnL, win rate and entry timing from stored swaps
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { sleep } from '../utils/time.js';
+import {
+  getSwapsSince,
+  getTokensByMints,
+  getLatestTokenPrices,
+  upsertWalletStats,
+  deleteWalletStatsBefore,
+  getWalletLeaderboard,
+} from '../supabase.js';
+import { computeWalletStats } from '../wallets/performance.js';
+
+const log = createLogger('wallet-stats-worker');
+
+// Configuration
+const WALLET_STATS_INTERVAL_MS = parseInt(process.env.WALLET_STATS_INTERVAL_MS || '900000', 10);
+const WALLET_STATS_LOOKBACK_HOURS = parseInt(process.env.WALLET_STATS_LOOKBACK_HOURS || '72', 10);
+const WALLET_STATS_MAX_SWAPS = parseInt(process.env.WALLET_STATS_MAX_SWAPS || '50000', 10);
+const WALLET_STATS_MIN_TOKENS = parseInt(process.env.WALLET_STATS_MIN_TOKENS || '2', 10);
+
+const SWAP_PAGE_SIZE = 1000;
+const LOOKUP_CHUNK_SIZE = 200;
+const UPSERT_CHUNK_SIZE = 500;
+
+let isRunning = false;
+let shouldStop = false;
+
+/**
+ * Start the wallet stats worker
+ */
+export async function startWalletStatsWorker() {
+  if (isRunning) {
+    log.warn('Wallet stats worker already running');
+    return;
+  }
+
+  isRunning = true;
+  shouldStop = false;
+  log.info('Wallet stats worker started', {
+    interval: WALLET_STATS_INTERVAL_MS,
+    lookbackHours: WALLET_STATS_LOOKBACK_HOURS,
+  });
+
+  while (!shouldStop) {
+    try {
+      await computeAndStoreStats();
+    } catch (err) {
+      log.error('Wallet stats run error', err);
+    }
+
+    await sleep(WALLET_STATS_INTERVAL_MS);
+  }
+
+  isRunning = false;
+  log.info('Wallet stats worker stopped');
+}
+
+/**
+ * Stop the wallet stats worker
+ */
+export function stopWalletStatsWorker() {
+  shouldStop = true;
+  log.info('Wallet stats worker stopping...');
+}
+
+/**
+ * Recompute stats for every wallet that traded in the lookback window
+ */
+async function computeAndStoreStats() {
+  const startTime = Date.now();
+  const since = new Date(startTime - WALLET_STATS_LOOKBACK_HOURS * 3600 * 1000).toISOString();
+
+  // 1. Load swaps in the window
+  const swaps = [];
+  while (swaps.length < WALLET_STATS_MAX_SWAPS) {
+    const page = await getSwapsSince(since, swaps.length, SWAP_PAGE_SIZE);
+    swaps.push(...page);
+    if (page.length < SWAP_PAGE_SIZE) break;
+  }
+
+  if (swaps.length === 0) {
+    log.debug('No swaps in wallet stats window');
+    return;
+  }
+
+  // 2. Load token outcomes and latest prices
+  const mints = [...new Set(swaps.map((s) => s.token_mint))];
+  const tokens = new Map();
+  for (let i = 0; i < mints.length; i += LOOKUP_CHUNK_SIZE) {
+    const chunk = mints.slice(i, i + LOOKUP_CHUNK_SIZE);
+    const [rows, prices] = await Promise.all([getTokensByMints(chunk), getLatestTokenPrices(chunk)]);
+
+    for (const row of rows) {
+      tokens.set(row.mint, { ...row });
+    }
+    for (const price of prices) {
+      if (tokens.has(price.token_mint)) {
+        tokens.get(price.token_mint).price_sol = price.price_sol;
+      }
+    }
+  }
+
+  // 3. Compute and store stats
+  const computedAt = new Date().toISOString();
+  const rows = computeWalletStats(swaps, tokens)
+    .filter((row) => row.tokens_traded >= WALLET_STATS_MIN_TOKENS)
+    .map((row) => ({ ...row, window_hours: WALLET_STATS_LOOKBACK_HOURS, computed_at: computedAt }));
+
+  for (let i = 0; i < rows.length; i += UPSERT_CHUNK_SIZE) {
+    await upsertWalletStats(rows.slice(i, i + UPSERT_CHUNK_SIZE));
+  }
+
+  // Rows this run didn't rewrite are out of the window or below the minimum; drop them so the
+  // leaderboard only ranks current stats
+  await deleteWalletStatsBefore(computedAt);
+
+  log.info('Wallet stats updated', {
+    swaps: swaps.length,
+    tokens: mints.length,
+    wallets: rows.length,
+    truncated: swaps.length >= WALLET_STATS_MAX_SWAPS,
+    durationMs: Date.now() - startTime,
+  });
+}
+
+/**
+ * Run once for testing
+ */
+export async function runOnce() {
+  log.info('Running single wallet stats update');
+  await computeAndStoreStats();
+
+  const leaderboard = await getWalletLeaderboard(10);
+  for (const entry of leaderboard) {
+    log.info('Leaderboard', {
+      rank: entry.rank,
+      wallet: entry.wallet,
+      label: entry.tracked_label,
+      pnlSol: entry.total_pnl_sol,
+      winRate: entry.win_rate,
+      tokens: entry.tokens_traded,
+    });
+  }
+}
+
+// Allow running directly
+if (process.argv[1].includes('wallet_stats_worker.js')) {
+  // Load environment variables
+  const { config } = await import('dotenv');
+  config();
+
+  if (process.argv.includes('--once')) {
+    runOnce()
+      .then(() => process.exit(0))
+      .catch((err) => {
+        log.error('Wallet stats run failed', err);
+        process.exit(1);
+      });
+  } else {
+    startWalletStatsWorker().catch((err) => {
+      log.error('Worker failed', err);
+      process.exit(1);
+    });
+
+    // Handle shutdown
+    process.on('SIGINT', () => {
+      stopWalletStatsWorker();
+    });
+
+    process.on('SIGTERM', () => {
+      stopWalletStatsWorker();
+    });
+  }
+}